@@ -20,61 +20,492 @@ Module.register("MMM-WeatherChartD3", {
 	defaults: {
 		updateInterval: 10 * 60 * 1000,
 		initialLoadDelay: 0, // 0 seconds delay
+		fetchTimeout: 60 * 1000, // Maximum delay to retrieve data before considering the update as failed
+		retryDelay: 30 * 1000, // Delay before retrying a failed update (doubled at each new failure, up to updateInterval)
+		cacheData: true, // Persist last retrieved data to display it at startup or when updates fail
 		animationSpeed: 1000,
 		weatherProvider: "openweathermap",
-		weatherEndpoint: "/onecall",
+		weatherEndpoint: undefined, // Endpoint of the provider - undefined to use the default of the provider (@see `providerDefaults`)
 		type: "full", // Possible values: hourly, forecast (=daily) or specific value `full` which is a join of data from hourly+daily
 		apiKey: "",
 		lat: 0,
 		lon: 0,
+		locations: [], // Array of {name, lat, lon, ...} (with optional overrides of provider options) - empty to use lat/lon
+		locationsDisplay: "stacked", // Possible values: stacked (one chart per location) or overlay (temperatures of all locations in a single chart)
 		lang: config.language,
 		units: config.units,
+		providerUnits: "metric", // Units of values given by provider (metric or imperial) - MagicMirror providers always give metric values
+		temperatureUnits: "", // Possible values: C, F - empty to use default of units
+		pressureUnits: "", // Possible values: hPa, inHg, mmHg - empty to use default of units (hPa)
+		precipitationUnits: "", // Possible values: mm, in - empty to use default of units
 		locale: config.locale,
-		d3jsVersion: "7", // can either be in format "7.4" or even "7.4.4"
-		height: 300,
-		width: 500,
-		iconSize: undefined, // in px or undefined to define automatically at first call
-		iconURLBase: "https://raw.githubusercontent.com/erikflowers/weather-icons/master/svg/",
+		assets: "local", // Possible values: local (D3, locale and icons from module directory, or from CDN if absent) or cdn
+		d3jsVersion: "7", // can either be in format "7.4" or even "7.4.4" - only used to load D3 from CDN
+		height: 300, // in px or auto to be proportional to width
+		orientation: "horizontal", // Possible values: horizontal (time along X axis) or vertical (time along Y axis, from top to bottom)
+		width: 500, // in px or auto to fill the width of the module
+		iconSize: undefined, // in px or undefined to define automatically at each render
+		iconURLBase: undefined, // undefined to use icons of module directory (`icons`) if present, else from weather-icons GitHub repository
+		iconSet: "weather-icons", // Possible values: weather-icons, meteocons or an object {urlBase, prefix, suffix, names, fallback}
 		hoursRatio: 0, // Ratio of fetched hours in graph (useful for openweathermap onecall that gives 48h with 1h precision) - 0 or undefined to ignore
+		forecastStartOffset: null, // Start of the displayed window (in hours from current hour, e.g. 6) - null to start at first data
+		forecastHorizon: null, // End of the displayed window: duration from its start (in hours, e.g. 24 or 72), endOfDay or endOfWeek - null to end at last data
+		hourlyTickInterval: 3, // Interval between hours of the X axis for hourly data (in hours - widened if too close)
+		hourlyTickFormat: "24h", // Possible values: 24h, 12h (AM/PM), locale (time format of the locale) or a D3 time format (e.g. %H:%M)
+		dailyTickInterval: 6, // Interval between hours of the X axis for daily data (in hours - widened if too close)
+		dailyTickFormat: "24h", // Same values as hourlyTickFormat
 		showIcons: true,
 		showNights: true,
+		nightStyle: "simple", // Possible values: simple (a band from sunset to sunrise) or twilight (gradient through civil, nautical and astronomical twilights)
+		showMoon: false, // Show moon phase icon of each night and moonrise/moonset markers (only used when showNights == true)
+		showDailySummary: false, // Strip below the axis with, per day, weather icon, min/max temperature, precipitation and sunrise/sunset (horizontal orientation only)
 		showTemperature: true,
 		showMinMaxTemperature: false,
 		showFeelsLikeTemp: true,
+		showTemperatureBands: false, // Show temperatureBands behind temperature curves
+		temperatureBands: [ // Horizontal bands {from, to, label, className} in °C (converted to temperatureUnits) - a missing bound extends the band to the edge of the chart, from == to draws a line
+			{ from: 0, to: 0, className: "freezing" },
+			{ from: 18, to: 24, className: "comfort" },
+			{ from: 30, className: "heat" }
+		],
+		temperatureGradient: false, // Color temperature curve by value with temperatureGradientStops
+		temperatureGradientStops: [ // Colors {value, color} by temperature in °C (converted to temperatureUnits)
+			{ value: -10, color: "#4060ff" },
+			{ value: 0, color: "#80c0ff" },
+			{ value: 15, color: "#80ff80" },
+			{ value: 25, color: "#ffd040" },
+			{ value: 35, color: "#ff4040" }
+		],
 		showPrecipitationAmount: true,
 		showPrecipitationProbability: true, // Only used when showPrecipitationAmount == true
-		showSnow: true, // if false: snow is included in precipitations
+		precipitationProbabilityStyle: "text", // Possible values: text (with values of precipitation), opacity (of precipitation bars), line (stepped line on a 0-100% axis) or strip (heat strip along the bottom)
+		showSnow: true, // if false: snow (and mixed precipitations) is included in precipitations
+		snowUnits: "", // Possible values: cm, in (accumulated snow) - empty to use precipitations units (water equivalent)
+		showPrecipitationCumulative: false, // Show running total of precipitations (only used when showPrecipitationAmount == true)
 		showPressure: true,
 		showHumidity: true,
 		showWind: true,
+		showWindDirection: true, // Only used when showWind == true
+		showWindGust: true, // Only used when showWind == true
+		windUnits: "", // Possible values: ms, kmh, mph, knots, beaufort - empty to use default of units (kmh or mph)
 		showAQI: true,
 		showUVI: true,
+		panels: [], // Stacked panels {series, height, yAxisLeft, yAxisRight} (or name of a series) sharing the time axis - empty to overlay all series in a single panel
+		yAxisLeft: "", // Name of the series displayed with a left Y axis (e.g. temperature) - empty for no axis
+		yAxisRight: "", // Name of the series displayed with a right Y axis (e.g. precipitation, pressure) - empty for no axis
+		yTicks: 5, // Approximative number of ticks of Y axes
+		showYGrid: true, // Show horizontal gridlines of the first displayed Y axis
+		series: [], // Additional series: names of presets or definitions {name, field, curve, domain, unit, icon...}
+		dataNotification: "", // Notification (e.g. WEATHER_UPDATED) to consume data from instead of fetching a provider - empty to fetch provider
+		dataNotificationSender: "", // Name or identifier of the module allowed to send dataNotification - empty to accept any sender
+		dataNotificationUnits: "metric", // Units of values of dataNotification payloads (metric or imperial - the default weather module sends values in its units)
+		broadcastNotification: "", // Notification sent with fetched data after each update - empty to disable
+		alerts: [], // Array of {label, field, operator, value, hours} - e.g. {label: "Frost", field: "temperature", operator: "<", value: 0, hours: 12}
+		alertNotification: "WEATHER_ALERT", // Notification sent when an alert is raised
+		showAlerts: true, // Highlight alerts on the chart
+		showNow: false, // Show a vertical line at current time
+		nowUpdateInterval: 60 * 1000, // Interval to move the current time line (without fetching data)
+		showHistory: false, // Show observed values (current weather fetched at each update) of the last historyHours hours
+		historyHours: 12,
+		interactive: false, // Display a crosshair and a tooltip with values following pointer/touch
 	},
 
 	/**
-	 * Number of calls to `updateAvailable` before triggering `updateDom` (set by `scheduleUpdate`)
+	 * States of configured locations (set by `start`)
+	 * Each state has its own configuration, weather provider and number of calls to `updateAvailable` before triggering `updateDom`
 	 */
-	nbUpdateWait: 0,
+	locationStates: [],
 
 	/**
 	 * Initializes module
 	 * @see `module.start`
 	 * @see <https://docs.magicmirror.builders/development/core-module-file.html#start>
 	 */
-	start: function () {
-		// Initializes and starts the weather provider
-		this.weatherProvider = WeatherProvider.initialize(this.config.weatherProvider, this);
-		this.weatherProvider.start();
+	start: async function () {
+		// Initializes and starts a weather provider per location
+		this.locationStates = this.getLocations().map((location, index) => this.initializeLocation(location, index));
+		this.activeAlerts = new Set();
+		this.icons = new Map();
+		this.loggedMessages = new Set();
 
-		// Loads D3 locale
-		(async () => {
-			await d3.json(`https://unpkg.com/d3-time-format@4/locale/${this.config.locale}.json`).then(function (locale) {
-				d3.timeFormatDefaultLocale(locale);
-			});
-		})();
+		// Loads assets before the first display
+		await this.loadAssets();
 
 		// Schedules the first update
 		this.scheduleUpdate(this.config.initialLoadDelay);
+		this.startNowTimer();
+	},
+
+	/**
+	 * URLs of assets on CDN (used when local copies are absent)
+	 */
+	cdnURLs: {
+		d3: version => `https://cdn.jsdelivr.net/npm/d3@${version}/dist/d3.min.js`,
+		locale: locale => `https://unpkg.com/d3-time-format@4/locale/${locale}.json`,
+		icons: "https://raw.githubusercontent.com/erikflowers/weather-icons/master/svg/",
+	},
+
+	/**
+	 * Loads D3 (from CDN if local copy is absent), D3 locale and defines icons URL
+	 */
+	loadAssets: async function () {
+		const isLocal = this.config.assets === "local";
+
+		// D3 (loaded by `getScripts` from local copy)
+		if (typeof d3 === "undefined") {
+			Log.warn("Local copy of D3 not found: loading it from CDN.");
+			await this.loadScript(this.cdnURLs.d3(this.config.d3jsVersion));
+		}
+
+		// D3 locale
+		const localeURLs = [this.cdnURLs.locale(this.config.locale)];
+		if (isLocal) {
+			localeURLs.unshift(this.file(`node_modules/d3-time-format/locale/${this.config.locale}.json`));
+		}
+		for (const url of localeURLs) {
+			try {
+				d3.timeFormatDefaultLocale(await d3.json(url));
+				break;
+			} catch (error) {
+				Log.warn(`Unable to load D3 locale from ${url}: ${error}`);
+			}
+		}
+
+		// Icons
+		if (this.config.iconURLBase === undefined) {
+			this.config.iconURLBase = this.cdnURLs.icons;
+			if (isLocal) {
+				const localIcons = this.file("icons");
+				try {
+					const response = await fetch(`${localIcons}/wi-na.svg`, { method: "HEAD" });
+					if (response.ok) {
+						this.config.iconURLBase = localIcons;
+					}
+				} catch (error) {
+					Log.warn(`Local icons not found: using icons from ${this.config.iconURLBase}`);
+				}
+			}
+		}
+	},
+
+	/**
+	 * Loads a script in the document
+	 * @param {string} url URL of the script
+	 * @returns {Promise} Resolved when the script is loaded
+	 */
+	loadScript: function (url) {
+		return new Promise((resolve, reject) => {
+			const script = document.createElement("script");
+			script.src = url;
+			script.onload = resolve;
+			script.onerror = () => reject(new Error(`Unable to load ${url}`));
+			document.head.appendChild(script);
+		});
+	},
+
+	/**
+	 * Icon sets (names of icons are the weather-icons ones, as `weatherType` of weather objects)
+	 * `urlBase` (default: `config.iconURLBase`), `prefix` and `suffix` build the URL of an icon from its name,
+	 * `names` maps names to names of the icon set and `fallback` is used for unmapped names
+	 */
+	iconSets: {
+		"weather-icons": { prefix: "wi-", suffix: ".svg", names: {} },
+		meteocons: {
+			urlBase: "https://cdn.jsdelivr.net/gh/basmilius/weather-icons/production/line/svg",
+			prefix: "",
+			suffix: ".svg",
+			fallback: "not-available",
+			names: {
+				"day-sunny": "clear-day",
+				"night-clear": "clear-night",
+				"day-cloudy": "partly-cloudy-day",
+				"night-cloudy": "partly-cloudy-night",
+				"night-alt-cloudy": "partly-cloudy-night",
+				"cloudy": "cloudy",
+				"cloudy-windy": "wind",
+				"cloudy-gusts": "wind",
+				"showers": "rain",
+				"day-showers": "partly-cloudy-day-rain",
+				"night-showers": "partly-cloudy-night-rain",
+				"night-alt-showers": "partly-cloudy-night-rain",
+				"rain": "rain",
+				"day-rain": "partly-cloudy-day-rain",
+				"night-rain": "partly-cloudy-night-rain",
+				"night-alt-rain": "partly-cloudy-night-rain",
+				"sprinkle": "drizzle",
+				"day-sprinkle": "drizzle",
+				"night-sprinkle": "drizzle",
+				"thunderstorm": "thunderstorms",
+				"day-thunderstorm": "thunderstorms-day",
+				"night-thunderstorm": "thunderstorms-night",
+				"night-alt-thunderstorm": "thunderstorms-night",
+				"snow": "snow",
+				"day-snow": "partly-cloudy-day-snow",
+				"night-snow": "partly-cloudy-night-snow",
+				"night-alt-snow": "partly-cloudy-night-snow",
+				"sleet": "sleet",
+				"hail": "hail",
+				"fog": "fog",
+				"day-fog": "fog-day",
+				"night-fog": "fog-night",
+				"haze": "haze",
+				"smoke": "smoke",
+				"dust": "dust",
+				"windy": "wind",
+				"strong-wind": "wind",
+				"thermometer": "thermometer",
+				"raindrop": "raindrop",
+				"barometer": "barometer",
+				"humidity": "humidity",
+				"snowflake-cold": "snowflake",
+				"train": "dust",
+				"moon-alt-new": "moon-new",
+				"moon-alt-waxing-crescent-3": "moon-waxing-crescent",
+				"moon-alt-first-quarter": "moon-first-quarter",
+				"moon-alt-waxing-gibbous-3": "moon-waxing-gibbous",
+				"moon-alt-full": "moon-full",
+				"moon-alt-waning-gibbous-3": "moon-waning-gibbous",
+				"moon-alt-third-quarter": "moon-last-quarter",
+				"moon-alt-waning-crescent-3": "moon-waning-crescent",
+			},
+		},
+	},
+
+	/**
+	 * Returns the configured icon set
+	 * @returns {Object} Icon set ({urlBase, prefix, suffix, names, fallback})
+	 */
+	getIconSet: function () {
+		const iconSet = typeof this.config.iconSet === "object" ? this.config.iconSet : this.iconSets[this.config.iconSet];
+		if (iconSet === undefined) {
+			Log.error(`Invalid iconSet ${this.config.iconSet} configured (must be one of ${Object.keys(this.iconSets).join(", ")} or an object)`);
+			return this.iconSets["weather-icons"];
+		}
+		return iconSet;
+	},
+
+	/**
+	 * Returns the id of the symbol of an icon (the icon is loaded into the sprite if not already done)
+	 * @param {string} name Name of the icon (weather-icons name without `wi-`)
+	 * @returns {string} Id of the symbol
+	 */
+	getIconId: function (name) {
+		const id = `${this.identifier}-icon-${name}`.replace(/[^\w-]/g, "_");
+		if (!this.icons.has(id)) {
+			this.icons.set(id, this.loadIcon(name, id));
+		}
+		return id;
+	},
+
+	/**
+	 * Loads an icon as a symbol of the sprite of the module
+	 * @param {string} name Name of the icon (weather-icons name without `wi-`)
+	 * @param {string} id Id of the symbol
+	 * @returns {Promise} Resolved when the symbol is added
+	 */
+	loadIcon: async function (name, id) {
+		const iconSet = this.getIconSet();
+		const url = `${iconSet.urlBase ?? this.config.iconURLBase}/${iconSet.prefix ?? ""}${iconSet.names?.[name] ?? iconSet.fallback ?? name}${iconSet.suffix ?? ""}`;
+		try {
+			const response = await fetch(url);
+			if (!response.ok) {
+				throw new Error(response.statusText);
+			}
+			const source = new DOMParser().parseFromString(await response.text(), "image/svg+xml").documentElement;
+			this.scopeIconIds(source, id);
+
+			// Sprite (hidden svg) of the module
+			let sprite = d3.select(`#${this.identifier} svg.icons defs`);
+			if (sprite.empty()) {
+				sprite = d3.select(`#${this.identifier}`)
+					.insert("svg", ":first-child")
+					.attr("class", "icons")
+					.attr("width", 0)
+					.attr("height", 0)
+					.append("defs");
+			}
+			const symbol = sprite.append("symbol")
+				.attr("id", id)
+				.attr("viewBox", source.getAttribute("viewBox") ?? `0 0 ${parseFloat(source.getAttribute("width"))} ${parseFloat(source.getAttribute("height"))}`);
+			Array.from(source.childNodes).forEach(node => symbol.node().appendChild(document.importNode(node, true)));
+		} catch (error) {
+			Log.warn(`Unable to load icon ${url}: ${error}`);
+		}
+	},
+
+	/**
+	 * Prefixes ids defined in an icon (and references to them) by the id of its symbol
+	 * Icons of a set often reuse the same ids (e.g. `<clipPath id="a">` of minified files), which must be unique in the document
+	 * @param {Element} source Root element of the icon
+	 * @param {string} id Id of the symbol
+	 */
+	scopeIconIds: function (source, id) {
+		const ids = new Map(Array.from(source.querySelectorAll("[id]"), element => [element.id, `${id}-${element.id}`]));
+		if (ids.size === 0) {
+			return;
+		}
+		const scopeUrls = value => value.replace(/url\(\s*(["']?)#([^"')\s]+)\1\s*\)/g, (url, quote, name) => ids.has(name) ? `url(#${ids.get(name)})` : url);
+		[source, ...source.querySelectorAll("*")].forEach(element => {
+			Array.from(element.attributes).forEach(attribute => {
+				let value = attribute.value;
+				if (attribute.name === "id") {
+					value = ids.get(value);
+				} else if (["href", "xlink:href"].includes(attribute.name) && ids.has(value.slice(1))) {
+					value = `#${ids.get(value.slice(1))}`;
+				} else {
+					value = scopeUrls(value);
+				}
+				if (value !== attribute.value) {
+					attribute.value = value;
+				}
+			});
+			if (element.localName === "style") {
+				element.textContent = scopeUrls(element.textContent);
+			}
+		});
+	},
+
+	/**
+	 * Sets the icon (reference to a symbol of the sprite) of each `use` element of a selection
+	 * @param {d3.selection|d3.transition} selection Selection (or transition) of `use` elements
+	 * @param {string|Function} name Name of the icon or function returning it from data
+	 * @param {Number} size Size of the icon (in pixels)
+	 * @returns {d3.selection|d3.transition} Selection (or transition) of the icons
+	 */
+	setIcon: function (selection, name, size) {
+		return selection
+			.attr("href", d => `#${this.getIconId(typeof name === "function" ? name(d) : name)}`)
+			.attr("width", size)
+			.attr("height", size);
+	},
+
+	/**
+	 * Returns the configured locations
+	 * @returns {Array} `config.locations` if defined, else a single location from `config.lat` and `config.lon`
+	 */
+	getLocations: function () {
+		if (Array.isArray(this.config.locations) && this.config.locations.length > 0) {
+			return this.config.locations;
+		}
+		return [{ lat: this.config.lat, lon: this.config.lon }];
+	},
+
+	/**
+	 * Initializes and starts the weather provider of a location
+	 * @param {Object} location Location (name, lat, lon and optional overrides of provider options)
+	 * @param {integer} index Index of the location
+	 * @returns {Object} State of the location
+	 */
+	initializeLocation: function (location, index) {
+		const config = Object.assign({}, this.config, location);
+		// Options specific to the provider (if not configured)
+		Object.entries(this.providerDefaults[config.weatherProvider.toLowerCase()] ?? {})
+			.filter(([option]) => config[option] === undefined)
+			.forEach(([option, value]) => config[option] = value);
+		// Options left undefined must not override defaults of the provider (merged by `WeatherProvider.initialize`)
+		Object.keys(config)
+			.filter(option => config[option] === undefined)
+			.forEach(option => delete config[option]);
+		const state = {
+			index: index,
+			name: location.name ?? `${location.lat}, ${location.lon}`,
+			config: config,
+			nbUpdateWait: 0,
+			data: { hourly: [], daily: [], pollution: [] },
+			history: [],
+			missing: [], // Names of displayed series whose fields are not provided
+			lastUpdate: undefined, // Date of last retrieved data (timestamp)
+			isStale: false, // True if data is not up to date (loaded from cache or last update failed)
+		};
+		if (state.config.cacheData) {
+			this.loadCache(state);
+		}
+		if (!this.isFedByNotification(state.config)) {
+			// The provider reads its options from the delegate config and notifies the delegate when data is retrieved
+			const delegate = {
+				config: state.config,
+				updateAvailable: () => this.updateAvailable(state),
+			};
+			state.weatherProvider = WeatherProvider.initialize(state.config.weatherProvider, delegate);
+			state.weatherProvider.start();
+			state.fetchMethods = this.getFetchMethods(state);
+		}
+		return state;
+	},
+
+	/**
+	 * Default options by provider (applied to locations not configuring them)
+	 */
+	providerDefaults: {
+		openweathermap: { weatherEndpoint: "/onecall" },
+	},
+
+	/**
+	 * Providers included in the module (`providers` directory) - others are providers of the default weather module
+	 */
+	localProviders: ["mock", "openmeteochart"],
+
+	/**
+	 * Returns the data a provider is able to fetch (methods implemented by the provider, not only by the base `WeatherProvider`)
+	 * @param {Object} provider Weather provider
+	 * @returns {current, hourly, daily, pollution} True for each kind of data the provider can fetch
+	 */
+	getProviderCapabilities: function (provider) {
+		const isImplemented = method => typeof provider[method] === "function"
+			&& (typeof WeatherProvider === "undefined" || provider[method] !== WeatherProvider.prototype?.[method]);
+		return {
+			current: isImplemented("fetchCurrentWeather"),
+			hourly: isImplemented("fetchWeatherHourly"),
+			daily: isImplemented("fetchWeatherForecast"),
+			pollution: isImplemented("fetchPollutionForecast"),
+		};
+	},
+
+	/**
+	 * Returns the methods of the provider of a location to call at each update
+	 * Data of the configured `type` not supported by the provider is replaced by the supported one (hourly or daily)
+	 * @param {Object} state State of the location
+	 * @returns {string[]} Names of methods of the provider
+	 */
+	getFetchMethods: function (state) {
+		const capabilities = this.getProviderCapabilities(state.weatherProvider);
+		const provider = state.config.weatherProvider;
+		const wanted = {
+			hourly: ["hourly"],
+			daily: ["daily"],
+			forecast: ["daily"],
+			full: ["hourly", "daily"],
+		}[state.config.type.toLowerCase()];
+		if (wanted === undefined) {
+			Log.error(`Invalid type ${state.config.type} configured (must be one of 'hourly', 'daily', 'forecast' or 'full')`);
+			return [];
+		}
+
+		let kinds = wanted.filter(kind => capabilities[kind]);
+		if (kinds.length === 0) {
+			kinds = ["hourly", "daily"].filter(kind => capabilities[kind]).slice(0, 1);
+			if (kinds.length === 0) {
+				Log.error(`Provider ${provider} of ${state.name} fetches neither hourly nor daily forecasts.`);
+				return [];
+			}
+		}
+		if (kinds.length < wanted.length || kinds[0] !== wanted[0]) {
+			Log.warn(`Provider ${provider} of ${state.name} does not fetch ${wanted.filter(kind => !kinds.includes(kind)).join(" and ")} forecasts: using ${kinds.join(" and ")} ones.`);
+		}
+
+		const methods = { hourly: "fetchWeatherHourly", daily: "fetchWeatherForecast" };
+		return kinds.map(kind => methods[kind])
+			.concat(state.config.type.toLowerCase() === "full" && state.config.showHistory && capabilities.current ? ["fetchCurrentWeather"] : [])
+			.concat(state.config.type.toLowerCase() === "full" && state.config.showAQI && capabilities.pollution ? ["fetchPollutionForecast"] : []);
+	},
+
+	/**
+	 * Returns true if data of a location is received by notifications instead of fetched by a provider
+	 * @param {Object} config Configuration of the location
+	 * @returns {boolean}
+	 */
+	isFedByNotification: function (config) {
+		return typeof config.dataNotification === "string" && config.dataNotification.length > 0;
 	},
 
 	/**
@@ -94,27 +525,364 @@ Module.register("MMM-WeatherChartD3", {
 	 */
 	getScripts: function () {
 		const pathWeather = "modules/default/weather/";
+		// Providers used by all locations (without duplicates)
+		const providers = new Set(this.getLocations()
+			.map(location => Object.assign({}, this.config, location))
+			.filter(config => !this.isFedByNotification(config))
+			.map(config => config.weatherProvider.toLowerCase()));
 		return [
-			// Loads d3 from CDN
-			`https://cdn.jsdelivr.net/npm/d3@${this.config.d3jsVersion}/dist/d3.min.js`,
+			// Loads d3 from local copy (or from CDN - if absent, it is loaded from CDN by `loadAssets`)
+			this.config.assets === "local" ? this.file("node_modules/d3/dist/d3.min.js") : this.cdnURLs.d3(this.config.d3jsVersion),
 			"suncalc.js",
-			`${pathWeather}providers/${this.config.weatherProvider.toLowerCase()}.js`,
+			...Array.from(providers, provider => this.localProviders.includes(provider) ? this.file(`providers/${provider}.js`) : `${pathWeather}providers/${provider}.js`),
 		];
 	},
 
 	/**
-	 * Called when the provider has retrieved data
+	 * Returns the translation files (labels of header, tooltip and stale badge)
+	 * @see <https://docs.magicmirror.builders/development/core-module-file.html#gettranslations>
+	 * @returns {Object} Translation files by language
 	 */
-	updateAvailable: function () {
-		this.nbUpdateWait--;
-		if (this.nbUpdateWait <= 0) {
-			// No more waiting call - update DOM with all the available data and schedule next update
-			Log.log("New weather information available.");
+	getTranslations: function () {
+		return {
+			en: "translations/en.json",
+			fr: "translations/fr.json",
+		};
+	},
+
+	/**
+	 * Called when the provider of a location has retrieved data
+	 * @param {Object} state State of the location
+	 */
+	updateAvailable: function (state) {
+		this.storeProviderData(state);
+		if (state.nbUpdateWait <= 0) {
+			// Call received after fetch timeout - only display new data
 			this.updateDom(this.config.animationSpeed);
+			return;
+		}
+		state.nbUpdateWait--;
+		if (state.nbUpdateWait <= 0) {
+			// All data of the location is retrieved
+			clearTimeout(state.fetchTimer);
+			state.isStale = false;
+			state.lastUpdate = Date.now();
+			if (state.config.cacheData) {
+				this.saveCache(state);
+			}
+		}
+		this.checkUpdateComplete();
+	},
+
+	/**
+	 * Called when data of a location is not retrieved within `fetchTimeout`
+	 * @param {Object} state State of the location
+	 */
+	fetchTimedOut: function (state) {
+		Log.warn(`Weather information of ${state.name} not retrieved within ${state.config.fetchTimeout} ms.`);
+		state.nbUpdateWait = 0;
+		state.isStale = true;
+		this.updateFailed = true;
+		this.checkUpdateComplete();
+	},
+
+	/**
+	 * Completes the current update once no more data is awaited from any location
+	 */
+	checkUpdateComplete: function () {
+		if (this.isUpdating && this.locationStates.every(s => s.nbUpdateWait <= 0)) {
+			this.isUpdating = false;
+			this.completeUpdate();
+		}
+	},
+
+	/**
+	 * Called when no more data is awaited - update DOM with all the available data and schedule next update
+	 */
+	completeUpdate: function () {
+		Log.log("New weather information available.");
+		this.locationStates.forEach(s => this.evaluateAlerts(s));
+		this.updateDom(this.config.animationSpeed);
+		this.locationStates
+			.filter(s => s.weatherProvider !== undefined && !s.isStale)
+			.forEach(s => this.broadcastLocationData(s));
+
+		// Retries sooner with an exponential backoff if an update failed
+		this.nbFailedUpdates = this.updateFailed ? this.nbFailedUpdates + 1 : 0;
+		if (this.nbFailedUpdates > 0) {
+			this.scheduleUpdate(Math.min(this.config.updateInterval, this.config.retryDelay * 2 ** (this.nbFailedUpdates - 1)));
+		} else {
 			this.scheduleUpdate();
 		}
 	},
 
+	/**
+	 * True while data of the current update is awaited (the update is completed once)
+	 */
+	isUpdating: false,
+
+	/**
+	 * Number of consecutive failed updates
+	 */
+	nbFailedUpdates: 0,
+
+	/**
+	 * True if a location has not retrieved data during the current update
+	 */
+	updateFailed: false,
+
+	/**
+	 * Returns the key of the cache of a location
+	 * @param {Object} state State of the location
+	 * @returns {string} Key in local storage
+	 */
+	getCacheKey: function (state) {
+		return `${this.name}-${state.index}-${state.config.lat}-${state.config.lon}`;
+	},
+
+	/**
+	 * Persists data of a location in local storage
+	 * @param {Object} state State of the location
+	 */
+	saveCache: function (state) {
+		const toSimpleObjects = array => array.map(d => this.serializeWeatherObject(d));
+		try {
+			localStorage.setItem(this.getCacheKey(state), JSON.stringify({
+				lastUpdate: state.lastUpdate,
+				data: {
+					hourly: toSimpleObjects(state.data.hourly),
+					daily: toSimpleObjects(state.data.daily),
+					pollution: toSimpleObjects(state.data.pollution),
+				},
+			}));
+		} catch (error) {
+			Log.warn(`Unable to cache weather information of ${state.name}: ${error}`);
+		}
+	},
+
+	/**
+	 * Loads data of a location persisted in local storage (data is then stale until next update)
+	 * @param {Object} state State of the location
+	 */
+	loadCache: function (state) {
+		const toWeatherObjects = array => (array ?? []).map(d => this.deserializeWeatherObject(d));
+		try {
+			const cache = JSON.parse(localStorage.getItem(this.getCacheKey(state)));
+			if (cache?.lastUpdate) {
+				state.data = {
+					hourly: toWeatherObjects(cache.data.hourly),
+					daily: toWeatherObjects(cache.data.daily),
+					pollution: toWeatherObjects(cache.data.pollution),
+				};
+				state.lastUpdate = cache.lastUpdate;
+				state.isStale = true;
+			}
+		} catch (error) {
+			Log.warn(`Unable to load cached weather information of ${state.name}: ${error}`);
+		}
+	},
+
+	/**
+	 * Called when a notification is received from another module
+	 * Data of locations configured with `dataNotification` is updated from payload of this notification
+	 * @see `module.notificationReceived`
+	 * @see <https://docs.magicmirror.builders/development/core-module-file.html#notificationreceived-notification-payload-sender>
+	 * @param {string} notification Notification name
+	 * @param {*} payload Notification payload
+	 * @param {Module} sender Module that sent the notification (undefined for core notifications)
+	 */
+	notificationReceived: function (notification, payload, sender) {
+		if (notification === "MODULE_DOM_CREATED") {
+			this.observeSize();
+		}
+
+		const states = this.locationStates.filter(state => state.weatherProvider === undefined
+			&& state.config.dataNotification === notification
+			&& (!state.config.dataNotificationSender || (sender && [sender.name, sender.identifier].includes(state.config.dataNotificationSender))));
+
+		if (states.length > 0) {
+			states.forEach(state => {
+				const toWeatherObjects = array => (array ?? []).map(d => this.toBaseUnits(this.deserializeWeatherObject(d), state.config.dataNotificationUnits));
+				state.data = {
+					hourly: toWeatherObjects(payload.hourlyArray),
+					daily: toWeatherObjects(payload.forecastArray),
+					pollution: toWeatherObjects(payload.pollutionArray),
+				};
+				state.isStale = false;
+				state.lastUpdate = Date.now();
+				if (state.config.cacheData) {
+					this.saveCache(state);
+				}
+				this.evaluateAlerts(state);
+			});
+			Log.log(`New weather information received from ${sender?.name}.`);
+			this.updateDom(this.config.animationSpeed);
+		}
+	},
+
+	/**
+	 * Stores data retrieved by the provider of a location
+	 * @param {Object} state State of the location
+	 */
+	storeProviderData: function (state) {
+		const provider = state.weatherProvider;
+		const toBaseUnits = array => (array ?? []).map(d => this.toBaseUnits(d, state.config.providerUnits));
+		// Previous data is kept if the provider has no data (e.g. failed fetch)
+		const orPrevious = (array, previous) => array.length > 0 ? array : previous;
+		state.data = {
+			hourly: orPrevious(toBaseUnits(provider.weatherHourly()), state.data.hourly),
+			daily: orPrevious(toBaseUnits(provider.weatherForecast()), state.data.daily),
+			pollution: orPrevious(toBaseUnits(typeof provider.pollutionForecast === "function" ? provider.pollutionForecast() : undefined), state.data.pollution),
+		};
+
+		// Accumulates observed values
+		const current = state.config.showHistory && typeof provider.currentWeather === "function" ? provider.currentWeather() : undefined;
+		if (current) {
+			const observation = toBaseUnits([current])[0];
+			observation.date = moment(observation.date ?? undefined);
+			const dateMin = moment().subtract(state.config.historyHours, "h");
+			state.history = state.history
+				.filter(d => d.date.isAfter(dateMin) && !d.date.isSame(observation.date))
+				.concat([observation]);
+		}
+	},
+
+	/**
+	 * Sends data of a location to other modules (with the same payload format as the default weather module + `pollutionArray`)
+	 * Values are in metric units (@see `baseUnits`)
+	 * @param {Object} state State of the location
+	 */
+	broadcastLocationData: function (state) {
+		if (this.config.broadcastNotification) {
+			const toSimpleObjects = array => array.map(d => this.serializeWeatherObject(d));
+			this.sendNotification(this.config.broadcastNotification, {
+				currentWeather: null,
+				hourlyArray: toSimpleObjects(state.data.hourly),
+				forecastArray: toSimpleObjects(state.data.daily),
+				pollutionArray: toSimpleObjects(state.data.pollution),
+				locationName: state.name,
+				providerName: state.weatherProvider.providerName,
+			});
+		}
+	},
+
+	/**
+	 * Date fields of weather objects (moment objects in module, timestamps in notifications)
+	 */
+	dateFields: ["date", "sunrise", "sunset"],
+
+	/**
+	 * Returns a plain copy of a weather object with dates as timestamps
+	 * @param {Object} d Weather object
+	 * @returns {Object} Plain object
+	 */
+	serializeWeatherObject: function (d) {
+		const result = Object.assign({}, d);
+		this.dateFields.filter(field => result[field]).forEach(field => result[field] = result[field].valueOf());
+		return result;
+	},
+
+	/**
+	 * Returns a copy of a plain object with timestamps as moment dates
+	 * @param {Object} d Plain object (@see `serializeWeatherObject`)
+	 * @returns {Object} Weather object
+	 */
+	deserializeWeatherObject: function (d) {
+		const result = Object.assign({}, d);
+		this.dateFields.filter(field => result[field]).forEach(field => result[field] = moment(result[field]));
+		return result;
+	},
+
+	/**
+	 * Comparison operators usable in alert rules
+	 */
+	alertOperators: {
+		"<": (a, b) => a < b,
+		"<=": (a, b) => a <= b,
+		">": (a, b) => a > b,
+		">=": (a, b) => a >= b,
+		"==": (a, b) => a === b,
+	},
+
+	/**
+	 * Keys (location and rule) of alerts already sent and still active (set by `start`)
+	 */
+	activeAlerts: null,
+
+	/**
+	 * Evaluates alert rules on data of a location and sends a notification for each newly raised alert
+	 * Periods of raised alerts are stored in `state.alerts` to be highlighted on the chart
+	 * @param {Object} state State of the location
+	 */
+	evaluateAlerts: function (state) {
+		const { sortedData, dataPollution } = this.getLocationData(state);
+		const data = d3.sort(this.addPeriods(sortedData).concat(this.addPeriods(dataPollution)), d => d.date);
+
+		state.alerts = [];
+		this.config.alerts.forEach((rule, ruleIndex) => {
+			const key = `${state.index}-${ruleIndex}`;
+			const operator = this.alertOperators[rule.operator];
+			if (operator === undefined) {
+				Log.error(`Invalid operator ${rule.operator} configured in alert ${rule.label} (must be one of ${Object.keys(this.alertOperators).join(", ")})`);
+				return;
+			}
+
+			// Values of the rule field in the time window
+			const dateMax = rule.hours ? moment().add(rule.hours, "h") : undefined;
+			const values = data
+				.filter(d => dateMax === undefined || d.date.isSameOrBefore(dateMax))
+				.map(d => ({ d, value: this.getAlertValue(d, rule.field) }))
+				.filter(v => v.value !== undefined && v.value !== null && !isNaN(v.value));
+
+			// Contiguous periods matching the rule
+			const periods = [];
+			values.forEach((v, i) => {
+				if (operator(v.value, rule.value)) {
+					const end = v.d.date + v.d.period;
+					if (i > 0 && periods.length > 0 && periods[periods.length - 1].last === i - 1) {
+						Object.assign(periods[periods.length - 1], { end, last: i });
+					} else {
+						periods.push({ start: v.d.date.valueOf(), end, last: i });
+					}
+				}
+			});
+
+			if (periods.length === 0) {
+				// Alert can be sent again next time it is raised
+				this.activeAlerts.delete(key);
+				return;
+			}
+			state.alerts.push({ rule, ruleIndex, periods });
+
+			if (!this.activeAlerts.has(key)) {
+				this.activeAlerts.add(key);
+				this.sendNotification(rule.notification ?? this.config.alertNotification, {
+					title: rule.label,
+					message: `${state.name}: ${rule.label} (${moment(periods[0].start).format("LT")})`,
+					location: state.name,
+					lat: state.config.lat,
+					lon: state.config.lon,
+					rule: rule,
+					start: periods[0].start,
+					end: periods[0].end,
+				});
+			}
+		});
+	},
+
+	/**
+	 * Returns the value of a field used by alert rules
+	 * @param {Object} d Item of data (with `period` - @see `addPeriods`)
+	 * @param {string} field Name of the field - `precipitationRate` for precipitations by hour
+	 * @returns {Number} Value of the field
+	 */
+	getAlertValue: function (d, field) {
+		if (field === "precipitationRate") {
+			return d.precipitationAmount === undefined || d.precipitationAmount === null ? undefined : this.getHeightPrecipitation(d);
+		}
+		return d[field];
+	},
+
 	/**
 	 * Called when the module is hidden
 	 * @see `module.suspend`
@@ -125,6 +893,10 @@ Module.register("MMM-WeatherChartD3", {
 		if (this.timer) {
 			clearTimeout(this.timer);
 		}
+		if (this.nowTimer) {
+			clearInterval(this.nowTimer);
+		}
+		this.locationStates.forEach(state => clearTimeout(state.fetchTimer));
 	},
 
 	/**
@@ -135,6 +907,30 @@ Module.register("MMM-WeatherChartD3", {
 	resume: function () {
 		// Instantly restart scheduled updates
 		this.scheduleUpdate(0);
+		this.startNowTimer();
+	},
+
+	/**
+	 * Starts the timer moving the current time line
+	 */
+	startNowTimer: function () {
+		if (this.config.showNow) {
+			clearInterval(this.nowTimer);
+			this.nowTimer = setInterval(() => this.updateNow(), this.config.nowUpdateInterval);
+		}
+	},
+
+	/**
+	 * Moves the current time line of charts to current time (hidden if out of the X axis)
+	 */
+	updateNow: function () {
+		if (this.xTime !== undefined) {
+			const now = new Date();
+			const [dateMin, dateMax] = d3.extent(this.xTime.domain());
+			d3.selectAll(`#${this.identifier} .now`)
+				.attr("transform", `translate(${this.xTime(now)}, 0)`)
+				.style("display", now < dateMin || now > dateMax ? "none" : null);
+		}
 	},
 
 	/**
@@ -156,31 +952,53 @@ Module.register("MMM-WeatherChartD3", {
 			nextLoad = delay;
 		}
 
-		this.timer = setTimeout(() => {
-			switch (this.config.type.toLowerCase()) {
-				case "hourly":
-					this.nbUpdateWait = 1;
-					this.weatherProvider.fetchWeatherHourly();
-					break;
-				case "daily":
-				case "forecast":
-					this.nbUpdateWait = 1;
-					this.weatherProvider.fetchWeatherForecast();
-					break;
-				case "full":
-					this.nbUpdateWait = 2;
-					if (this.config.showAQI && typeof this.weatherProvider.fetchCurrentPollution === "function") {
-						this.nbUpdateWait++;
-						this.weatherProvider.fetchPollutionForecast();
-					}
-					this.weatherProvider.fetchWeatherHourly();
-					this.weatherProvider.fetchWeatherForecast();
-					break;
-				default:
-					this.nbUpdateWait = 0;
-					Log.error(`Invalid type ${this.config.type} configured (must be one of 'hourly', 'daily', 'forecast' or 'full')`);
+		clearTimeout(this.timer);
+		this.timer = setTimeout(() => this.fetchLocations(), nextLoad);
+	},
+
+	/**
+	 * Retrieves data of all locations
+	 * Calls of all locations are counted before fetching (a provider may fail or call back synchronously),
+	 * so that the update is not completed before the last locations are fetched
+	 */
+	fetchLocations: function () {
+		this.updateFailed = false;
+		this.isUpdating = true;
+		// Data of locations without provider is received by notifications
+		this.locationStates.forEach(state => state.nbUpdateWait = state.weatherProvider === undefined ? 0 : (state.fetchMethods ?? []).length);
+		this.locationStates
+			.filter(state => state.weatherProvider !== undefined)
+			.forEach(state => this.fetchLocation(state));
+		this.checkUpdateComplete();
+	},
+
+	/**
+	 * Retrieves data of a location (its awaited calls are counted by `fetchLocations`)
+	 * @param {Object} state State of the location
+	 */
+	fetchLocation: function (state) {
+		const methods = state.fetchMethods ?? [];
+		let failed = methods.length === 0;
+		methods.forEach(method => {
+			try {
+				state.weatherProvider[method]();
+			} catch (error) {
+				// No call back to wait for
+				Log.error(`Unable to fetch weather information of ${state.name} (${method}): ${error}`);
+				failed = true;
+				state.nbUpdateWait--;
 			}
-		}, nextLoad);
+		});
+		if (failed) {
+			state.isStale = true;
+			this.updateFailed = true;
+		}
+
+		// Stops waiting for data not retrieved in time
+		clearTimeout(state.fetchTimer);
+		if (state.nbUpdateWait > 0) {
+			state.fetchTimer = setTimeout(() => this.fetchTimedOut(state), state.config.fetchTimeout);
+		}
 	},
 
 	/**
@@ -193,6 +1011,15 @@ Module.register("MMM-WeatherChartD3", {
 		return (isNaN(value) || value === null) ? fallback : value;
 	},
 
+	/**
+	 * Returns true if a value is given (0 included)
+	 * @param {*} value Value to check
+	 * @returns {boolean} False if value is undefined, null or not a number
+	 */
+	isValue: function (value) {
+		return value !== undefined && value !== null && !isNaN(value);
+	},
+
 	/**
 	 * Generates the DOM containing the chart
 	 *
@@ -202,25 +1029,29 @@ Module.register("MMM-WeatherChartD3", {
 	 */
 	getDom: function () {
 		const promises = [];
-		const ifDef = (value, fallback) => (typeof (value) === "undefined" || value === null) ? fallback : value;
 
-		const dataHourly = ifDef(this.weatherProvider.weatherHourly(), []);
-		let dataDaily = ifDef(this.weatherProvider.weatherForecast(), []);
-		const dataPollution = ifDef(this.weatherProvider.pollutionForecast(), []);
-
-		if (dataHourly.length > 0 || dataDaily.length > 0) {
-			if (dataHourly.length > 0 && dataDaily.length > 0) {
-				// Remove current day and next day of dataDaily (provided by dataHourly)
-				const dateMaxHourly = d3.max(dataHourly, d => d.date);
-				dataDaily = dataDaily.filter(d => d.date.isAfter(dateMaxHourly));
-			}
-			// Merge and sort data
-			const sortedData = d3.sort([].concat(dataHourly).concat(dataDaily), d => d.date);
-
-			// Frame
+		// Charts are kept between renders and transitioned to new data
+		const renderId = this.renderId = (this.renderId ?? 0) + 1;
+		this.transition = d3.transition().duration(this.config.animationSpeed);
+
+		const datasets = this.locationStates
+			.map(state => this.getLocationData(state))
+			.filter(dataset => dataset.sortedData.length > 0);
+
+		if (datasets.length > 0) {
+			// Data of all locations (to share the same scales)
+			const dataHourly = [].concat(...datasets.map(dataset => dataset.dataHourly));
+			const dataDaily = [].concat(...datasets.map(dataset => dataset.dataDaily));
+			const dataHistory = [].concat(...datasets.map(dataset => dataset.dataHistory));
+			const sortedData = d3.sort([].concat(...datasets.map(dataset => dataset.sortedData)), d => d.date);
+
+			// Frame (legend is narrowed in small charts)
+			// Charts are drawn horizontally (a vertical chart being rotated) so its width is along time axis
+			const size = this.getSize();
+			const [width, height] = this.isVertical() ? [size.height, size.width] : [size.width, size.height];
 			const margins = { top: 0, right: 10, bottom: 30, left: 10 };
-			const legendBarWidth = 55;
-			const innerWidth = this.config.width - margins.left - margins.right - 2 * legendBarWidth;
+			const legendBarWidth = Math.round(Math.max(30, Math.min(55, width * 0.11)));
+			const innerWidth = width - margins.left - margins.right - 2 * legendBarWidth;
 
 			// Define x scale
 			let xTime;
@@ -239,9 +1070,18 @@ Module.register("MMM-WeatherChartD3", {
 					.domain(d3.extent(sortedData, d => d.date))
 					.range([0, innerWidth]);
 			}
+			// Extend domain to observed history
+			if (dataHistory.length > 0) {
+				const domainX = xTime.domain();
+				domainX[0] = Math.min(domainX[0], d3.min(dataHistory, d => d.date));
+				xTime.domain(domainX);
+			}
+			this.xTime = xTime;
+			this.panels = this.getPanels();
 
-			// Define icon size and gap between icons
-			if (this.config.iconSize === undefined) {
+			// Define icon size and gap between icons (computed at each render as it depends on size and data)
+			this.iconSize = this.config.iconSize;
+			if (this.iconSize === undefined) {
 				let minDelta = Infinity;
 				for (let i = 1; i < sortedData.length; i++) {
 					const delta = xTime(sortedData[i].date) - xTime(sortedData[i - 1].date)
@@ -249,84 +1089,698 @@ Module.register("MMM-WeatherChartD3", {
 						minDelta = delta;
 					}
 				}
-				const magnifier = this.config.width / minDelta / 30; // Empiric value
-				this.config.iconSize = minDelta * magnifier;
+				const magnifier = width / minDelta / 30; // Empiric value
+				this.iconSize = minDelta * magnifier;
 			}
 
 			// Frame
-			margins.top = this.config.iconSize;
-			const innerHeight = this.config.height - margins.top - margins.bottom - legendBarWidth;
+			margins.top = this.iconSize;
+			margins.bottom += this.getDailySummaryHeight();
+			const innerHeight = height - margins.top - margins.bottom - legendBarWidth;
+
+			const frame = { dataHourly: dataHistory.concat(dataHourly), dataDaily, xTime, size, innerWidth, innerHeight, margins, legendBarWidth };
+			if (this.config.locationsDisplay === "overlay") {
+				// A single chart with all the series of the first location and temperatures of the others
+				const svg = this.getSvg("overlay", frame);
+				promises.push(this.drawChart(svg, datasets, frame, this.getTemperatureScale(sortedData.concat(dataHistory), innerHeight)));
+			} else {
+				// One chart per location (small multiples)
+				datasets.forEach(dataset => {
+					const svg = this.getSvg(`location-${dataset.location.index}`, frame);
+					promises.push(this.drawChart(svg, [dataset], frame, this.getTemperatureScale(dataset.sortedData.concat(dataset.dataHistory), innerHeight)));
+					if (this.locationStates.length > 1) {
+						promises.push(this.svgAddLocationName(this.getLayer(svg, "location-name"), dataset, legendBarWidth));
+					}
+				});
+			}
+		}
 
-			// Remove existing svg
-			d3.select(`#${this.identifier} svg`).remove();
-			// Adds new svg
-			const svg = d3.select(`#${this.identifier}`)
-				.append("svg")
-				.attr("width", this.config.width)
-				.attr("height", this.config.height)
-				.append("g")
-				.attr("id", "grp")
-				.attr("transform", `translate(${margins.left + legendBarWidth}, ${margins.top})`);
-
-			// Adds Y axis (temperature)
-			const yTemp = d3.scaleLinear()
-				.domain([
-					d3.min(sortedData, d => Math.min(this.ifNan(d.temperature, 0), this.ifNan(d.minTemperature, 0), this.ifNan(d.feelsLikeTemp, 0)) - 1),
-					d3.max(sortedData, d => Math.max(this.ifNan(d.temperature, 40), this.ifNan(d.maxTemperature, 40), this.ifNan(d.feelsLikeTemp, 40)) + 1)
-				])
-				.range([innerHeight, 0]);
+		// SVG is directly added into div module
+		return Promise.all(promises).then(() => {
+			// Charts and elements not drawn by this render (e.g. no more data) fade out
+			d3.selectAll(`#${this.identifier} svg.chart, #${this.identifier} svg.chart [data-join]`)
+				.filter(function () {
+					return parseInt(this.dataset.render) !== renderId;
+				})
+				.attr("data-join", null)
+				.attr("data-key", null)
+				.transition(this.transition)
+				.style("opacity", 0)
+				.remove();
+			return document.createElement("div");
+		});
+	},
 
-			// Adds grids and axis
-			promises.push(this.addGridAndAxis(svg, dataHourly, dataDaily, xTime, innerHeight, legendBarWidth));
+	/**
+	 * Units of each quantity with conversions from/to the base unit (first unit of each quantity)
+	 */
+	unitConversions: {
+		temperature: {
+			C: { label: "°C", decimals: 1, fromBase: v => v, toBase: v => v },
+			F: { label: "°F", decimals: 1, fromBase: v => v * 9 / 5 + 32, toBase: v => (v - 32) * 5 / 9 },
+		},
+		speed: {
+			ms: { label: "m/s", decimals: 1, fromBase: v => v, toBase: v => v },
+			kmh: { label: "km/h", decimals: 0, fromBase: v => v * 3.6, toBase: v => v / 3.6 },
+			mph: { label: "mi/h", decimals: 0, fromBase: v => v * 2.236936, toBase: v => v / 2.236936 },
+			knots: { label: "kn", decimals: 0, fromBase: v => v * 1.943844, toBase: v => v / 1.943844 },
+			beaufort: { label: "Bft", decimals: 0, fromBase: v => d3.bisectRight([0.3, 1.6, 3.4, 5.5, 8, 10.8, 13.9, 17.2, 20.8, 24.5, 28.5, 32.7], v) },
+		},
+		pressure: {
+			hPa: { label: "hPa", decimals: 0, fromBase: v => v, toBase: v => v },
+			inHg: { label: "inHg", decimals: 2, fromBase: v => v * 0.02953, toBase: v => v / 0.02953 },
+			mmHg: { label: "mmHg", decimals: 0, fromBase: v => v * 0.750062, toBase: v => v / 0.750062 },
+		},
+		precipitation: {
+			mm: { label: "mm", decimals: 2, fromBase: v => v, toBase: v => v },
+			in: { label: "in", decimals: 2, fromBase: v => v / 25.4, toBase: v => v * 25.4 },
+		},
+	},
 
-			// Adds day/night
-			if (this.config.showNights && sortedData.length > 1) {
-				promises.push(this.svgAddDayNight(svg, sortedData, xTime, innerWidth, innerHeight, margins, legendBarWidth));
-			}
-			// Adds precipitation (rain/snow)
-			if (this.config.showPrecipitationAmount) {
-				promises.push(this.svgAddPrecipitation(svg, sortedData, xTime, innerWidth, innerHeight, margins));
-			}
-			// Adds pressure
-			if (this.config.showPressure) {
-				promises.push(this.svgAddPressure(svg, sortedData, xTime, innerWidth, innerHeight, margins));
-			}
-			// Adds temperature min/max
-			if (this.config.showMinMaxTemperature) {
-				promises.push(this.svgAddTemperatureMinMax(svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
-			}
-			// Adds temperature
-			if (this.config.showTemperature) {
-				promises.push(this.svgAddTemperature(svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
-			}
-			// Adds feels alike temperature
-			if (this.config.showFeelsLikeTemp) {
-				promises.push(this.svgAddFeelsAlikeTemperature(svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
-			}
-			// Adds weather icons
-			if (this.config.showIcons) {
-				promises.push(this.svgAddWeatherIcons(svg, sortedData, xTime, innerWidth, innerHeight, margins));
-			}
-			// Adds Humidity
-			if (this.config.showHumidity) {
-				promises.push(this.svgAddHumidity(svg, sortedData, xTime, innerWidth, innerHeight, margins));
-			}
-			// Adds Wind
-			if (this.config.showWind) {
-				promises.push(this.svgAddWind(svg, sortedData, xTime, innerWidth, innerHeight, margins));
+	/**
+	 * Units of values by configured units (for providers and default displayed units)
+	 */
+	unitSystems: {
+		metric: { temperature: "C", speed: "kmh", pressure: "hPa", precipitation: "mm" },
+		imperial: { temperature: "F", speed: "mph", pressure: "hPa", precipitation: "in" },
+	},
+
+	/**
+	 * Base units of stored values
+	 */
+	baseUnits: { temperature: "C", speed: "ms", pressure: "hPa", precipitation: "mm" },
+
+	/**
+	 * Quantities of known fields of weather objects
+	 */
+	fieldQuantities: {
+		temperature: "temperature",
+		feelsLikeTemp: "temperature",
+		minTemperature: "temperature",
+		maxTemperature: "temperature",
+		dewPoint: "temperature",
+		windSpeed: "speed",
+		windGust: "speed",
+		pressure: "pressure",
+		precipitationAmount: "precipitation",
+		rain: "precipitation",
+		snow: "precipitation",
+		snowfall: "precipitation",
+		sleet: "precipitation",
+		freezingRain: "precipitation",
+	},
+
+	/**
+	 * Returns quantities of known fields and fields of series having a quantity
+	 * @returns {Object} Quantity by field
+	 */
+	getFieldQuantities: function () {
+		const result = Object.assign({}, this.fieldQuantities);
+		(this.config.series ?? []).filter(series => series.quantity !== undefined && series.field !== undefined)
+			.forEach(series => result[series.field] = series.quantity);
+		return result;
+	},
+
+	/**
+	 * Returns the displayed unit of a quantity (configured by `temperatureUnits`, `windUnits`, `pressureUnits` or `precipitationUnits`)
+	 * @param {string} quantity Quantity (temperature, speed, pressure or precipitation)
+	 * @returns {Object} Unit ({label, decimals, fromBase, toBase})
+	 */
+	getDisplayUnit: function (quantity) {
+		const option = { temperature: "temperatureUnits", speed: "windUnits", pressure: "pressureUnits", precipitation: "precipitationUnits" }[quantity];
+		const units = this.unitConversions[quantity];
+		const name = this.config[option] || this.unitSystems[this.config.units]?.[quantity] || this.unitSystems.metric[quantity];
+		if (units[name] === undefined) {
+			Log.error(`Invalid ${option} ${name} configured (must be one of ${Object.keys(units).join(", ")})`);
+			return units[this.baseUnits[quantity]];
+		}
+		return units[name];
+	},
+
+	/**
+	 * Returns a copy of a weather object with values converted from provider units to base units
+	 * @param {Object} d Weather object
+	 * @param {string} providerUnits Units of the provider (metric or imperial)
+	 * @returns {Object} Weather object in base units
+	 */
+	toBaseUnits: function (d, providerUnits) {
+		const result = Object.assign({}, d);
+		const providerSystem = providerUnits === "imperial" ? this.unitSystems.imperial : this.baseUnits;
+		Object.entries(this.getFieldQuantities()).forEach(([field, quantity]) => {
+			if (typeof result[field] === "number") {
+				result[field] = this.unitConversions[quantity][providerSystem[quantity]].toBase(result[field]);
 			}
-			// Adds UVI
-			if (this.config.showUVI) {
-				promises.push(this.svgAddUvi(svg, sortedData, xTime, innerWidth, innerHeight, margins));
+		});
+		return result;
+	},
+
+	/**
+	 * Returns a difference of values converted from base unit to a displayed unit (ignoring offset of units such as °F)
+	 * @param {number} delta Difference in base unit
+	 * @param {Object} unit Displayed unit (@see `getDisplayUnit`)
+	 * @returns {number} Difference in displayed unit
+	 */
+	deltaFromBase: function (delta, unit) {
+		return unit.fromBase(delta) - unit.fromBase(0);
+	},
+
+	/**
+	 * Returns a copy of a weather object with values converted from base units to displayed units
+	 * @param {Object} d Weather object in base units
+	 * @param {Object} fieldUnits Displayed unit by field to convert (@see `getDisplayUnit`)
+	 * @returns {Object} Weather object in displayed units
+	 */
+	toDisplayUnits: function (d, fieldUnits) {
+		const result = Object.assign({}, d);
+		Object.entries(fieldUnits).forEach(([field, unit]) => {
+			if (typeof result[field] === "number") {
+				result[field] = unit.fromBase(result[field]);
 			}
-			// Adds AQI
-			if (this.config.showAQI) {
-				promises.push(this.svgAddAqi(svg, dataPollution, xTime, innerWidth, innerHeight, margins));
+		});
+		return result;
+	},
+
+	/**
+	 * Returns the stored data of a location
+	 * @param {Object} state State of the location
+	 * @returns {Object} Location state with hourly, daily (without days provided by hourly), pollution, merged sorted data and observed history (in displayed units)
+	 */
+	getLocationData: function (state) {
+		const fieldUnits = {};
+		Object.entries(this.getFieldQuantities()).forEach(([field, quantity]) => fieldUnits[field] = this.getDisplayUnit(quantity));
+		// Data cropped to the displayed window
+		const { start, end } = this.getTimeWindow();
+		const inWindow = d => (start === undefined || !d.date.isBefore(start)) && (end === undefined || !d.date.isAfter(end));
+		const dataHourly = state.data.hourly.filter(inWindow).map(d => this.toDisplayUnits(d, fieldUnits));
+		let dataDaily = state.data.daily.filter(inWindow).map(d => this.toDisplayUnits(d, fieldUnits));
+		const dataPollution = state.data.pollution.filter(inWindow);
+
+		if (dataHourly.length > 0 && dataDaily.length > 0) {
+			// Remove current day and next day of dataDaily (provided by dataHourly)
+			const dateMaxHourly = d3.max(dataHourly, d => d.date);
+			dataDaily = dataDaily.filter(d => d.date.isAfter(dateMaxHourly));
+		}
+		// Merge and sort data
+		const sortedData = d3.sort([].concat(dataHourly).concat(dataDaily), d => d.date);
+		// Observed values before forecasts
+		const dateMinForecast = d3.min(sortedData, d => d.date);
+		const dataHistory = state.history
+			.filter(d => (dateMinForecast === undefined || d.date.isBefore(dateMinForecast)) && inWindow(d))
+			.map(d => this.toDisplayUnits(d, fieldUnits));
+
+		// Series without provided fields are skipped
+		const missing = sortedData.length === 0 ? [] : this.getMissingSeries(sortedData.concat(dataHistory, dataPollution));
+		missing.filter(item => !state.missing.includes(item.name))
+			.forEach(item => Log.info(`${item.fields.join(" / ")} not provided for ${state.name}: ${item.name} is not displayed.`));
+		state.missing = missing.map(item => item.name);
+
+		return { location: state, dataHourly, dataDaily, dataPollution, sortedData, dataHistory, missing: state.missing };
+	},
+
+	/**
+	 * Returns the displayed series whose fields are not provided by data
+	 * @param {Array} data Data of a location (weather, history and pollution)
+	 * @returns {Array} Series ({name, fields}) with their required fields (precipitation requires a total amount or an amount by type)
+	 */
+	getMissingSeries: function (data) {
+		const provided = new Set(data.flatMap(d => Object.keys(d).filter(field => d[field] !== undefined && d[field] !== null && !(typeof d[field] === "number" && isNaN(d[field])))));
+		return [
+			[this.config.showTemperature, "temperature", ["temperature"]],
+			[this.config.showFeelsLikeTemp, "feelsLikeTemp", ["feelsLikeTemp"]],
+			[this.config.showMinMaxTemperature, "minMaxTemperature", ["minTemperature", "maxTemperature"]],
+			[this.config.showIcons, "icons", ["weatherType"]],
+		]
+			.filter(([show]) => show)
+			.map(([, name, fields]) => ({ name, fields }))
+			.concat(this.getSeries().map(series => ({ name: series.name, fields: [series.field] })))
+			.filter(item => !item.fields.every(field => provided.has(field)))
+			.concat(this.config.showPrecipitationAmount && !data.some(d => this.hasPrecipitation(d)) ? [{ name: "precipitation", fields: ["precipitationAmount"] }] : []);
+	},
+
+	/**
+	 * Returns the displayed window (@see `forecastStartOffset` and `forecastHorizon` options)
+	 * @returns {start, end} Bounds of the window (moment) - undefined if not bounded
+	 */
+	getTimeWindow: function () {
+		const offset = this.ifNan(this.config.forecastStartOffset, null);
+		const from = moment().startOf("hour").add(offset ?? 0, "hours");
+		const start = offset === null ? undefined : from;
+		const horizon = this.config.forecastHorizon;
+		let end;
+		if (horizon === "endOfDay") {
+			end = moment(from).endOf("day");
+		} else if (horizon === "endOfWeek") {
+			end = moment(from).endOf("week");
+		} else if (!isNaN(horizon) && horizon !== null) {
+			end = moment(from).add(horizon, "hours");
+		} else if (horizon !== null && horizon !== undefined) {
+			Log.error(`Invalid forecastHorizon ${horizon} configured (must be a number of hours, endOfDay or endOfWeek)`);
+		}
+		return { start, end };
+	},
+
+	/**
+	 * Returns the size of charts: configured one or, for `auto`, width of the module (500 pixels if not laid out, e.g. in regions sized by their content) and height proportional to width (taller than wide if vertical)
+	 * @returns {width, height} Size (in pixels)
+	 */
+	getSize: function () {
+		let width = this.config.width;
+		if (width === "auto") {
+			width = document.getElementById(this.identifier)?.clientWidth || 500;
+		}
+		const height = this.config.height === "auto" ? Math.round(this.isVertical() ? width / 0.6 : width * 0.6) : this.config.height;
+		return { width, height };
+	},
+
+	/**
+	 * Returns true if time is displayed along Y axis
+	 * @returns {boolean}
+	 */
+	isVertical: function () {
+		return this.config.orientation === "vertical";
+	},
+
+	/**
+	 * Observes the width of the module to render charts again when it changes (only for `auto` size)
+	 */
+	observeSize: function () {
+		const wrapper = document.getElementById(this.identifier);
+		if ((this.config.width === "auto" || this.config.height === "auto") && wrapper && typeof ResizeObserver !== "undefined") {
+			let lastWidth = wrapper.clientWidth;
+			this.resizeObserver?.disconnect();
+			this.resizeObserver = new ResizeObserver(entries => {
+				const width = Math.round(entries[0].contentRect.width);
+				if (width !== lastWidth) {
+					lastWidth = width;
+					// Waits for the end of resizing
+					clearTimeout(this.resizeTimer);
+					this.resizeTimer = setTimeout(() => this.updateDom(this.config.animationSpeed), 250);
+				}
+			});
+			this.resizeObserver.observe(wrapper);
+		}
+	},
+
+	/**
+	 * Returns an id unique in the document for an element of a chart (e.g. a gradient referenced by `url(#id)`)
+	 * @param {svg} svg Group of the chart containing the element
+	 * @param {string} name Name of the element (unique in the chart)
+	 * @returns {string} Id suffixed by the key of the chart
+	 */
+	getChartElementId: function (svg, name) {
+		return `${this.identifier}-${name}-${svg.node().ownerSVGElement.getAttribute("data-key")}`.replace(/[^\w-]/g, "_");
+	},
+
+	/**
+	 * Returns the svg of a chart (appended to the module at first call, kept by next renders)
+	 * @param {string} key Key of the chart
+	 * @param {Object} frame Size of the svg ({width, height}), margins and legendBarWidth of the chart
+	 * @returns {svg} Inner group of the svg (rotated if vertical)
+	 */
+	getSvg: function (key, frame) {
+		const { size: { width, height }, margins, legendBarWidth } = frame;
+		let chart = d3.select(`#${this.identifier}`).select(`svg.chart[data-key="${key}"]`);
+		if (chart.empty()) {
+			chart = d3.select(`#${this.identifier}`)
+				.append("svg")
+				.attr("class", "chart")
+				.attr("data-key", key);
+			chart.append("g")
+				.attr("class", "grp");
+		}
+		// Scalable (by CSS) through its viewBox
+		chart.attr("data-render", this.renderId)
+			.classed("vertical", this.isVertical())
+			.attr("width", width)
+			.attr("height", height)
+			.attr("viewBox", `0 0 ${width} ${height}`);
+		// Vertical: top of the horizontal chart is on the right side and its left side on the top
+		return chart.select("g.grp")
+			.attr("transform", this.isVertical()
+				? `translate(${width - margins.top}, ${margins.left + legendBarWidth}) rotate(90)`
+				: `translate(${margins.left + legendBarWidth}, ${margins.top})`);
+	},
+
+	/**
+	 * Returns a layer (group) of the chart, layers being stacked in order of their first call
+	 * @param {svg} svg SVG of the chart
+	 * @param {string} name Name of the layer
+	 * @returns {svg} Group of the layer
+	 */
+	getLayer: function (svg, name) {
+		const layer = svg.select(`:scope > g[data-layer="${name}"]`);
+		return layer.empty() ? svg.append("g").attr("data-layer", name) : layer;
+	},
+
+	/**
+	 * Joins data to elements of SVG: entering elements fade in, updated ones are transitioned to their new attributes
+	 * and exiting ones fade out (all with `animationSpeed` duration)
+	 * @param {svg} svg Parent of the elements
+	 * @param {string} tag Tag of the elements
+	 * @param {string} name Name identifying the elements in their parent
+	 * @param {string|Function} className Class of the elements
+	 * @param {Array|Function} data Data to join (an element per item)
+	 * @param {Function} key Key of items (index if undefined)
+	 * @param {Function} attrs Sets attributes of elements (called with the selection of entering elements or the transition of updated ones)
+	 * @returns {d3.selection} Entering and updated elements
+	 */
+	svgJoin: function (svg, tag, name, className, data, key, attrs) {
+		const apply = selection => {
+			if (!selection.empty()) {
+				attrs(selection);
 			}
+		};
+		return svg.selectAll(`:scope > ${tag}[data-join="${name}"]`)
+			.data(data, key)
+			.join(
+				enter => enter.append(tag)
+					.attr("data-join", name)
+					.attr("class", className)
+					.call(apply)
+					.style("opacity", 0)
+					.call(selection => selection.transition(this.transition).style("opacity", null)),
+				update => update
+					.attr("class", className)
+					.call(selection => apply(selection.transition(this.transition).style("opacity", null))),
+				exit => exit
+					.attr("data-join", null)
+					.call(selection => selection.transition(this.transition).style("opacity", 0).remove())
+			)
+			.attr("data-render", this.renderId);
+	},
+
+	/**
+	 * Returns the Y-axis scale of temperatures
+	 * @param {Array} sortedData Data containing temperatures
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @returns {d3.scaleLinear} Y-axis scale (temperature)
+	 */
+	getTemperatureScale: function (sortedData, innerHeight) {
+		const unit = this.getDisplayUnit("temperature");
+		const [min, max] = [unit.fromBase(0), unit.fromBase(40)];
+		return d3.scaleLinear()
+			.domain([
+				d3.min(sortedData, d => Math.min(this.ifNan(d.temperature, min), this.ifNan(d.minTemperature, min), this.ifNan(d.feelsLikeTemp, min)) - 1),
+				d3.max(sortedData, d => Math.max(this.ifNan(d.temperature, max), this.ifNan(d.maxTemperature, max), this.ifNan(d.feelsLikeTemp, max)) + 1)
+			])
+			.range([innerHeight, 0]);
+	},
+
+	/**
+	 * Messages already logged by `logOnce` (set by `start`)
+	 */
+	loggedMessages: null,
+
+	/**
+	 * Logs a message only the first time (for configuration errors detected at each render)
+	 * @param {string} level Level of the log (warn, error...)
+	 * @param {string} message Message to log
+	 */
+	logOnce: function (level, message) {
+		if (!this.loggedMessages.has(message)) {
+			this.loggedMessages.add(message);
+			Log[level](message);
 		}
+	},
 
-		// SVG is directly added into div module
-		return Promise.all(promises).then(() => document.createElement("div"));
+	/**
+	 * Returns the panels stacked in charts with the series they display (@see `panels` option)
+	 * Without configured panels, a single panel overlays all the series
+	 * Enabled series not listed in any panel are displayed in the first one
+	 * @returns {Array} Panels ({name, series, height, yAxisLeft, yAxisRight})
+	 */
+	getPanels: function () {
+		// Names of displayed series (temperature scale is always defined)
+		const names = ["temperature"]
+			.concat(this.config.showPrecipitationAmount ? ["precipitation"] : [])
+			.concat(this.getSeries().map(series => series.name));
+
+		if (!(this.config.panels?.length > 0)) {
+			return [{ name: "overlay", series: names, height: 1, yAxisLeft: this.config.yAxisLeft, yAxisRight: this.config.yAxisRight }];
+		}
+		const panels = this.config.panels
+			.map(item => typeof item === "string" ? { series: [item] } : item)
+			.filter((panel, i) => {
+				const isValid = Array.isArray(panel?.series);
+				if (!isValid) {
+					this.logOnce("warn", `Panel ${i} ignored: it must be a series name or an object with a series array`);
+				}
+				return isValid;
+			})
+			.map(panel => {
+				const series = panel.series.filter(name => names.includes(name));
+				return Object.assign({ name: panel.series.join("-"), height: 1, yAxisLeft: series[0], yAxisRight: "" }, panel, { series });
+			})
+			.filter(panel => panel.series.length > 0);
+		if (panels.length === 0) {
+			this.logOnce("error", "No displayed series in configured panels");
+			return [{ name: "overlay", series: names, height: 1, yAxisLeft: this.config.yAxisLeft, yAxisRight: this.config.yAxisRight }];
+		}
+		panels[0].series = panels[0].series.concat(names.filter(name => !panels.some(panel => panel.series.includes(name))));
+		return panels;
+	},
+
+	/**
+	 * Draws all the enabled series of a location into svg
+	 * Series are drawn in stacked panels (@see `getPanels`) sharing the X axis
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} datasets Data of locations (@see `getLocationData`) - the first one is drawn, only temperature of the others is drawn
+	 * @param {Object} frame Data of all locations (dataHourly, dataDaily), X-axis scale (xTime) and dimensions (innerWidth, innerHeight, margins, legendBarWidth)
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
+	 * @returns {Promise} Resolved when all series are drawn
+	 */
+	drawChart: function (svg, datasets, frame, yTemp) {
+		const promises = [];
+		const dataset = datasets[0];
+		const { sortedData } = dataset;
+		const { xTime, innerWidth, innerHeight, margins, legendBarWidth } = frame;
+		const series = this.getSeries();
+
+		// Layers of the chart (in drawing order)
+		const layer = name => this.getLayer(svg, name);
+		["axis", "daily-summary", "nights", "alerts", "panels", "icons", "location-name", "stale", "now", "tooltip"]
+			.forEach(layer);
+
+		// Adds grids and axis
+		promises.push(this.addGridAndAxis(layer("axis"), frame.dataHourly, frame.dataDaily, xTime, innerHeight, legendBarWidth));
+
+		// Adds daily summary
+		if (this.getDailySummaryHeight() > 0) {
+			promises.push(this.svgAddDailySummary(layer("daily-summary"), sortedData, xTime, innerWidth, innerHeight, margins, legendBarWidth, dataset.location.config));
+		}
+		// Adds day/night
+		if (this.config.showNights && sortedData.length > 1) {
+			promises.push(this.svgAddDayNight(layer("nights"), dataset.dataHistory.concat(sortedData), xTime, innerWidth, innerHeight, margins, legendBarWidth, dataset.location.config));
+		}
+		// Adds alerts
+		if (this.config.showAlerts && dataset.location.alerts?.length > 0) {
+			promises.push(this.svgAddAlerts(layer("alerts"), dataset.location.alerts, xTime, innerWidth, innerHeight, margins));
+		}
+
+		// Panels share the height of the chart by their ratio (separated by a gap)
+		const panels = this.panels.map(panel => Object.assign({}, panel));
+		const gap = panels.length > 1 ? this.iconSize / 2 : 0;
+		const ratio = (innerHeight - gap * (panels.length - 1)) / d3.sum(panels, panel => panel.height);
+		panels.reduce((y, panel) => {
+			Object.assign(panel, { y, innerHeight: panel.height * ratio });
+			return y + panel.innerHeight + gap;
+		}, 0);
+		this.svgJoin(layer("panels"), "g", "panel", d => `panel panel-${d.name}`, panels, d => d.name, g => g
+			.attr("transform", d => `translate(0, ${d.y})`))
+			.each((panel, i, nodes) => promises.push(this.drawPanel(d3.select(nodes[i]), datasets, frame, panel, series, yTemp.copy().range([panel.innerHeight, 0]))));
+
+		// Adds weather icons
+		if (this.config.showIcons && !dataset.missing.includes("icons")) {
+			promises.push(this.svgAddWeatherIcons(layer("icons"), sortedData, xTime, innerWidth, innerHeight, margins));
+		}
+
+		// Adds stale data indication
+		if (dataset.location.isStale && dataset.location.lastUpdate !== undefined) {
+			promises.push(this.svgAddStaleBadge(layer("stale"), dataset.location.lastUpdate, innerWidth));
+		}
+		// Adds current time
+		if (this.config.showNow) {
+			promises.push(this.svgAddNow(layer("now"), innerHeight).then(() => this.updateNow()));
+		}
+		// Adds tooltip and crosshair
+		if (this.config.interactive) {
+			promises.push(this.svgAddTooltip(layer("tooltip"), dataset, xTime, innerWidth, innerHeight));
+		}
+		return Promise.all(promises);
+	},
+
+	/**
+	 * Draws the series of a panel into svg
+	 * @param {svg} svg Group of the panel
+	 * @param {Array} datasets Data of locations (@see `drawChart`)
+	 * @param {Object} frame Data of all locations (dataHourly, dataDaily), X-axis scale (xTime) and dimensions (innerWidth, innerHeight, margins, legendBarWidth)
+	 * @param {Object} panel Panel to draw (@see `getPanels`) with its height (innerHeight)
+	 * @param {Array} series Definitions of the series (@see `getSeries`)
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature) of the panel
+	 * @returns {Promise} Resolved when all series are drawn
+	 */
+	drawPanel: function (svg, datasets, frame, panel, series, yTemp) {
+		const promises = [];
+		const dataset = datasets[0];
+		const { sortedData, dataPollution } = dataset;
+		const { xTime, innerWidth, margins, legendBarWidth } = frame;
+		const { innerHeight } = panel;
+		const isDisplayed = name => panel.series.includes(name) && !dataset.missing.includes(name);
+		const panelSeries = series.filter(s => isDisplayed(s.name));
+		const hasTemperature = panel.series.includes("temperature");
+
+		// Layers of the panel (in drawing order)
+		const layer = name => this.getLayer(svg, name);
+		["y-axes", "temperature-bands", "history", "precipitation"]
+			.concat(panelSeries.map(s => `series-${s.name}`))
+			.concat(["min-max-temperature", "temperature", "feelsLikeTemp", "locations"])
+			.forEach(layer);
+
+		// Adds temperature bands
+		if (hasTemperature && this.config.showTemperatureBands) {
+			promises.push(this.svgAddTemperatureBands(layer("temperature-bands"), innerWidth, yTemp));
+		}
+		// Adds observed history
+		if (hasTemperature && this.config.showHistory && dataset.dataHistory.length > 0) {
+			promises.push(this.svgAddHistory(layer("history"), dataset.dataHistory, xTime, innerHeight, yTemp));
+		}
+		// Adds precipitation (rain/snow)
+		if (isDisplayed("precipitation")) {
+			promises.push(this.svgAddPrecipitation(layer("precipitation"), sortedData, xTime, innerWidth, innerHeight, margins));
+		}
+		// Adds series (pressure, humidity, wind, UVI, AQI and custom ones)
+		panelSeries.forEach(s => {
+			promises.push(this.svgAddSeries(layer(`series-${s.name}`), s.source === "pollution" ? dataPollution : sortedData, s, xTime, innerWidth, innerHeight, margins));
+		});
+		// Adds temperature min/max
+		if (hasTemperature && this.config.showMinMaxTemperature && !dataset.missing.includes("minMaxTemperature")) {
+			promises.push(this.svgAddTemperatureMinMax(layer("min-max-temperature"), sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
+		}
+		// Adds temperature
+		if (hasTemperature && this.config.showTemperature && !dataset.missing.includes("temperature")) {
+			promises.push(this.svgAddTemperature(layer("temperature"), sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
+		}
+		// Adds feels alike temperature
+		if (hasTemperature && this.config.showFeelsLikeTemp && !dataset.missing.includes("feelsLikeTemp")) {
+			promises.push(this.svgAddFeelsAlikeTemperature(layer("feelsLikeTemp"), sortedData, xTime, innerWidth, innerHeight, margins, yTemp));
+		}
+		// Adds temperature of other locations
+		if (hasTemperature && datasets.length > 1) {
+			promises.push(this.svgAddLocationsTemperature(layer("locations"), datasets, xTime, innerWidth, innerHeight, margins, yTemp));
+		}
+
+		// Adds Y axes with scales returned by series
+		if (hasTemperature) {
+			promises.push({ name: "temperature", yAxis: yTemp, unit: this.getTemperatureUnit() });
+		}
+		return Promise.all(promises)
+			.then(scales => this.svgAddYAxes(layer("y-axes"), scales.flat().filter(scale => scale?.yAxis !== undefined), panel, innerWidth, innerHeight, legendBarWidth));
+	},
+
+	/**
+	 * Returns the unit of temperatures
+	 * @returns {string} Unit
+	 */
+	getTemperatureUnit: function () {
+		return this.getDisplayUnit("temperature").label;
+	},
+
+	/**
+	 * Returns true if a series is displayed with a Y axis
+	 * @param {string} name Name of the series
+	 * @returns {boolean}
+	 */
+	hasYAxis: function (name) {
+		return this.panels.some(panel => [panel.yAxisLeft, panel.yAxisRight].includes(name));
+	},
+
+	/**
+	 * Built-in series definitions
+	 * @see `getSeries` for the properties of a series
+	 */
+	seriesPresets: {
+		pressure: { field: "pressure", quantity: "pressure", domain: [950, 1050], icon: "barometer", extremesDelta: 1 },
+		humidity: { field: "humidity", domain: [0, 100], unit: "%", icon: "humidity", extremesDelta: 4, decimals: 0 },
+		wind: { field: "windSpeed", quantity: "speed", domain: [0, 50 / 3.6], icon: "strong-wind", extremesDelta: 1 }, // 50 km/h
+		uvi: { field: "uv_index", domain: [0, 10], unit: "UV", icon: "day-sunny", extremesDelta: 1, decimals: 1 },
+		aqi: { field: "aqi", source: "pollution", domain: [null, 5], reverse: true, topPadding: 2, tension: 1, unit: "AQI", icon: "train", extremesDelta: 0.5, decimals: 1 },
+	},
+
+	/**
+	 * Default properties of a series
+	 */
+	seriesDefaults: {
+		source: "weather", // weather (hourly+daily) or pollution
+		curve: "line", // line, area or bar
+		domain: [null, null], // [min, max] minimal domain of the y-axis (extended to data values) - null to use only data values
+		reverse: false, // true to have min value on top
+		topPadding: 0, // Space above the curve (in number of icons)
+		unit: "",
+		icon: "na",
+		extremesDelta: 1, // Minimum delta between 2 local min/max values to display them
+		decimals: 1,
+		tension: 0.3,
+		quantity: undefined, // temperature, speed, pressure or precipitation to convert values to the configured unit (domain and extremesDelta are then in metric units)
+		convert: value => value, // Conversion of the provided value to the displayed unit
+		bandField: undefined, // Field displayed as a band above values (e.g. wind gusts)
+		directionField: undefined, // Field of direction (in degrees) displayed as arrows along the curve
+	},
+
+	/**
+	 * Returns the options of the wind preset (gusts and direction) defined by configuration
+	 * @returns {Object} Properties overriding the wind preset
+	 */
+	getWindPresetOptions: function () {
+		return {
+			bandField: this.config.showWindGust ? "windGust" : undefined,
+			directionField: this.config.showWindDirection ? "windFromDirection" : undefined,
+		};
+	},
+
+	/**
+	 * Returns definitions of the series to display
+	 * Built-in series enabled by `show*` options, then series of `config.series`
+	 * A series of `config.series` is either the name of a preset, or an object with:
+	 * `name`, `field` (property of data), `preset` (name of a preset to override), `source`, `curve`, `domain`, `reverse`,
+	 * `topPadding`, `unit`, `icon` (name of weather-icons without `wi-`), `extremesDelta`, `decimals`, `className` (default: name), `tension`,
+	 * `quantity`, `convert`, `bandField`, `directionField`
+	 * @returns {Array} Definitions of the series
+	 */
+	getSeries: function () {
+		const enabled = [
+			[this.config.showPressure, "pressure"],
+			[this.config.showHumidity, "humidity"],
+			[this.config.showWind, "wind"],
+			[this.config.showUVI, "uvi"],
+			[this.config.showAQI, "aqi"],
+		].filter(([show]) => show).map(([, name]) => name);
+
+		const result = [];
+		enabled.concat(this.config.series ?? []).forEach(item => {
+			const custom = typeof item === "string" ? { preset: item } : item;
+			const name = custom.name ?? custom.preset ?? custom.field;
+			const presetName = custom.preset ?? name;
+			const preset = this.seriesPresets[presetName] && Object.assign({}, this.seriesPresets[presetName], presetName === "wind" ? this.getWindPresetOptions() : {});
+			if (custom.preset !== undefined && preset === undefined) {
+				Log.error(`Unknown series preset ${custom.preset} (must be one of ${Object.keys(this.seriesPresets).join(", ")})`);
+			} else if (custom.field === undefined && preset === undefined) {
+				Log.error(`Series ${name} has no field defined`);
+			} else if (!result.some(series => series.name === name)) {
+				const series = Object.assign({ name, className: name }, this.seriesDefaults, preset, custom);
+				if (series.quantity !== undefined) {
+					// Unit, domain and delta of extremes in the configured unit of the quantity
+					const unit = this.getDisplayUnit(series.quantity);
+					Object.assign(series, {
+						unit: custom.unit ?? unit.label,
+						decimals: custom.decimals ?? unit.decimals,
+						domain: series.domain.map(value => value === null ? null : unit.fromBase(value)),
+						extremesDelta: this.deltaFromBase(series.extremesDelta, unit),
+					});
+				}
+				result.push(series);
+			}
+		});
+		return result;
 	},
 
 	/**
@@ -352,48 +1806,275 @@ Module.register("MMM-WeatherChartD3", {
 				}
 			}
 		}
-		return result;
+		return result;
+	},
+
+	/**
+	 * Returns copies of items of data with their slot duration (`period` in ms)
+	 * Items are copied as periods depend on the subset of data (shared items are not modified)
+	 * @param {Array} data Sorted data
+	 * @returns {Array} Copies of items with `period` (undefined if data has a single item)
+	 */
+	addPeriods: function (data) {
+		return data.map((d, i) => Object.assign({}, d, {
+			period: data.length > 1 ? Math.abs(d.date.diff(data[i + (i + 1 < data.length ? 1 : -1)].date)) : undefined,
+		}));
+	},
+
+	/**
+	 * Ratio of the depth of snow to its water equivalent (used when the provider does not give the depth in `snowfall`)
+	 */
+	snowDepthRatio: 10,
+
+	/**
+	 * Types of precipitations (stacked in this order) with their fields in weather objects
+	 */
+	precipitationTypes: {
+		rain: ["rain"],
+		mixed: ["sleet", "freezingRain"],
+		snow: ["snow"],
+	},
+
+	/**
+	 * Returns true if an item gives precipitations (total amount or amount of a type)
+	 * @param {Object} d Item of data
+	 * @returns {boolean}
+	 */
+	hasPrecipitation: function (d) {
+		return ["precipitationAmount"].concat(...Object.values(this.precipitationTypes)).some(field => this.isValue(d[field]));
+	},
+
+	/**
+	 * Returns precipitations of an item (during its period)
+	 * @param {Object} d Item of data
+	 * @param {Array} types Types of precipitations to include (@see `precipitationTypes`)
+	 * @returns {Number} Precipitations
+	 */
+	getAmountPrecipitation: function (d, types = Object.keys(this.precipitationTypes)) {
+		// Without types of precipitations (only a total amount), precipitations are rain
+		if (!Object.values(this.precipitationTypes).flat().some(field => this.isValue(d[field]))) {
+			return types.includes("rain") ? this.ifNan(d.precipitationAmount, 0) : 0;
+		}
+		return d3.sum(types.flatMap(type => this.precipitationTypes[type]), field => this.ifNan(d[field], 0));
+	},
+
+	/**
+	 * Returns precipitations by hour of an item
+	 * @param {Object} d Item of data (with `period` - @see `addPeriods`)
+	 * @param {Array} types Types of precipitations to include (@see `precipitationTypes`)
+	 * @returns {Number} Precipitations by hour
+	 */
+	getHeightPrecipitation: function (d, types) {
+		const deltaInHours = d.period / (60 * 60 * 1000); // ms to hours
+		return parseFloat((this.getAmountPrecipitation(d, types) / deltaInHours).toFixed(2));
+	},
+
+	/**
+	 * Returns the format of hours of the X axis
+	 * @param {string} format 24h, 12h (AM/PM), locale (time format of the locale) or a D3 time format
+	 * @returns {Function} Formatting function of a date
+	 */
+	getTickFormat: function (format) {
+		switch (format) {
+			case "12h":
+				return d3.timeFormat("%-I%p");
+			case "locale":
+				return date => moment(date).format("LT");
+			case "24h":
+			case undefined:
+			case "":
+				return d3.timeFormat("%Hh");
+			default:
+				return d3.timeFormat(format);
+		}
+	},
+
+	/**
+	 * Adds grids and axis to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} dataHourly Data of weatherHourly
+	 * @param {Array} dataDaily Data of weatherDaily
+	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {integer} legendBarWidth Width of the legend (in pixels)
+	 */
+	addGridAndAxis: async function (svg, dataHourly, dataDaily, xTime, innerHeight, legendBarWidth) {
+		// Hours of data every `minStep` hours, or more if they would be too close (e.g. in narrow regions)
+		const getTickValues = (data, minStep) => {
+			if (data.length === 0) {
+				return [];
+			}
+			const [dateMin, dateMax] = d3.extent(data, d => d.date);
+			const pixelsByHour = (xTime(dateMax) - xTime(dateMin)) / ((dateMax - dateMin) / (60 * 60 * 1000));
+			const step = [minStep, 1, 2, 3, 6, 12, 24].find(step => step >= minStep && step * pixelsByHour >= 12) ?? 24;
+			return d3.timeHour.every(step).range(dateMin, dateMax);
+		};
+
+		// X axis (date) - hours of each segment (hourly and daily data) with their own interval and format
+		const ticksHourly = getTickValues(dataHourly, this.ifNan(this.config.hourlyTickInterval, 3));
+		const ticksDaily = getTickValues(dataDaily, this.ifNan(this.config.dailyTickInterval, 6));
+		const [formatHourly, formatDaily] = [this.getTickFormat(this.config.hourlyTickFormat), this.getTickFormat(this.config.dailyTickFormat)];
+		const hourlyTicks = new Set(ticksHourly.map(date => +date));
+		const axisHours = d3.axisBottom(xTime)
+			.tickValues(ticksHourly.concat(ticksDaily))
+			.tickFormat(date => hourlyTicks.has(+date) ? formatHourly(date) : formatDaily(date));
+		const hoursLegend = this.svgJoin(svg, "g", "x-axis-hours", "x-axis x-axis-hours", [xTime], undefined, g => g
+			.attr("transform", `translate(0, ${innerHeight})`)
+			.call(axisHours))
+			.selectAll("text");
+		if (this.isVertical()) {
+			// Texts are rotated by CSS
+			hoursLegend.attr("dy", "1em");
+		} else {
+			// Rotate hours legend
+			hoursLegend.attr("text-anchor", "end")
+				.attr("dx", "-0.8em")
+				.attr("dy", "0.15em")
+				.attr("transform", "rotate(-65)");
+		}
+
+		// X gridline
+		const axisDays = d3.axisBottom(xTime)
+			.ticks(d3.timeDay.every(1))
+			.tickSize(-innerHeight, 0, 0).tickPadding(legendBarWidth)
+			.tickFormat(d3.timeFormat("%a %d"));
+		this.svgJoin(svg, "g", "x-axis-days", "x-axis-grid x-axis-days", [xTime], undefined, g => g
+			.attr("transform", `translate(0, ${innerHeight})`)
+			.call(axisDays))
+			// Shift text to start of tick
+			.selectAll("text").attr("text-anchor", "start");
+	},
+
+	/**
+	 * Adds left and right Y axes (with unit and gridlines) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} scales Scales of the displayed series ({name, yAxis, unit})
+	 * @param {Object} panel Panel of the axes (@see `getPanels`)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {integer} legendBarWidth Width of the legend (in pixels)
+	 */
+	svgAddYAxes: async function (svg, scales, panel, innerWidth, innerHeight, legendBarWidth) {
+		const axes = [
+			{ side: "left", scale: scales.find(scale => scale.name === panel.yAxisLeft), axis: d3.axisLeft, x: 0, labelX: -legendBarWidth, rotate: -90 },
+			{ side: "right", scale: scales.find(scale => scale.name === panel.yAxisRight), axis: d3.axisRight, x: innerWidth, labelX: innerWidth + legendBarWidth, rotate: this.isVertical() ? -90 : 90 },
+		];
+		const definedAxes = axes.filter(axis => axis.scale !== undefined);
+
+		// Gridlines of the first axis
+		this.svgJoin(svg, "g", "y-axis-grid", "y-axis-grid", this.config.showYGrid ? definedAxes.slice(0, 1) : [], undefined, g => g
+			.call(d3.axisLeft(definedAxes[0].scale.yAxis)
+				.ticks(this.config.yTicks)
+				.tickSize(-innerWidth)
+				.tickFormat("")));
+
+		axes.forEach(axis => {
+			const data = axis.scale === undefined ? [] : [axis];
+			// Axis
+			this.svgJoin(svg, "g", `y-axis-${axis.side}`, d => `y-axis y-axis-${axis.side} ${d.scale.name}`, data, undefined, g => g
+				.attr("transform", `translate(${axis.x}, 0)`)
+				.call(axis.axis(axis.scale.yAxis).ticks(this.config.yTicks)));
+
+			// Unit
+			this.svgJoin(svg, "text", `y-axis-label-${axis.side}`, d => `${d.scale.name} y-axis-label`, data, undefined, text => text
+				.attr("text-anchor", "middle")
+				.attr("dominant-baseline", "hanging")
+				.attr("transform", `translate(${axis.labelX}, ${innerHeight / 2}) rotate(${axis.rotate})`)
+				.text(axis.scale.unit));
+		});
+	},
+
+	/**
+	 * Returns sun times (@see `SunCalc.getTimes`) of each day of data
+	 * @param {Array} sortedData Data sorted by date
+	 * @param {lat, lon} location Coordinates of the location
+	 * @returns {Array} Sun times by day
+	 */
+	getSunTimes: function (sortedData, location) {
+		let sunTimesData = [];
+		let iterd = sortedData[0].date;
+		while (iterd <= sortedData[sortedData.length - 1].date) {
+			sunTimesData.push(SunCalc.getTimes(iterd, location.lat, location.lon));
+			iterd = iterd.clone().add(1, "d");
+		}
+		return sunTimesData;
 	},
 
 	/**
-	 * Adds grids and axis to SVG
+	 * Returns the height of the daily summary (0 if not displayed)
+	 * @returns {Number} Height (in pixels)
+	 */
+	getDailySummaryHeight: function () {
+		return this.config.showDailySummary && !this.isVertical() ? this.iconSize + 3 * this.dailySummaryLineHeight : 0;
+	},
+
+	/**
+	 * Height of lines of text of the daily summary (in pixels)
+	 */
+	dailySummaryLineHeight: 12,
+
+	/**
+	 * Adds a summary of each day (weather icon, min/max temperature, precipitation and sunrise/sunset) below the axis to SVG
 	 * @param {svg} svg SVG of the chart
-	 * @param {Array} dataHourly Data of weatherHourly
-	 * @param {Array} dataDaily Data of weatherDaily
+	 * @param {Array} sortedData Concatenation of weatherHourly and weatherDaily
 	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
 	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
 	 * @param {integer} legendBarWidth Width of the legend (in pixels)
+	 * @param {lat, lon} location Coordinates of the location
 	 */
-	addGridAndAxis: async function (svg, dataHourly, dataDaily, xTime, innerHeight, legendBarWidth) {
-		// X axis (date)
-		svg.append("g")
-			.attr("id", "x-axis-hours")
-			.attr("class", "x-axis")
-			.attr("transform", `translate(0, ${innerHeight})`)
-			.call(d3.axisBottom(xTime)
-				.tickValues(d3.timeHour.every(3).range(d3.min(dataHourly, d => d.date), d3.max(dataHourly, d => d.date))
-					.concat(d3.timeHour.every(6).range(d3.min(dataDaily, d => d.date), d3.max(dataDaily, d => d.date))))
-				.tickFormat(d3.timeFormat("%Hh"))
-			);
-
-		// Rotate hours legend
-		svg.selectAll("#x-axis-hours text")
-			.attr("text-anchor", "end")
-			.attr("dx", "-0.8em")
-			.attr("dy", "0.15em")
-			.attr("transform", "rotate(-65)");
-
-		// X gridline
-		svg.append("g")
-			.attr("id", "x-axis-days")
-			.attr("class", "x-axis-grid")
-			.attr("transform", `translate(0, ${innerHeight})`)
-			.call(d3.axisBottom(xTime)
-				.ticks(d3.timeDay.every(1))
-				.tickSize(-innerHeight, 0, 0).tickPadding(legendBarWidth)
-				.tickFormat(d3.timeFormat("%a %d")))
-			// Shift text to start of tick
-			.selectAll("text").attr("text-anchor", "start");
+	svgAddDailySummary: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, legendBarWidth, location) {
+		const formatTime = d3.timeFormat("%H:%M");
+		const precipitationUnit = this.getDisplayUnit("precipitation");
+		const lineHeight = this.dailySummaryLineHeight;
+		const top = innerHeight + legendBarWidth + margins.bottom - this.getDailySummaryHeight();
+
+		// Sun times by day
+		const sunTimes = new Map(this.getSunTimes(sortedData, location).map(times => [+d3.timeDay.floor(times.solarNoon), times]));
+
+		// Days (columns are bounded by the X axis scale and are not displayed if too narrow)
+		const days = d3.groups(sortedData, d => +d3.timeDay.floor(d.date))
+			.map(([day, data]) => {
+				const x0 = Math.max(0, xTime(day));
+				const x1 = Math.min(innerWidth, xTime(d3.timeDay.offset(day, 1)));
+				const minTemperature = d3.min(data, d => d.minTemperature ?? d.temperature);
+				const maxTemperature = d3.max(data, d => d.maxTemperature ?? d.temperature);
+				const precipitation = d3.sum(data, d => d.precipitationAmount ?? 0);
+				const probability = d3.max(data, d => d.precipitationProbability);
+				const sun = sunTimes.get(day);
+				return {
+					day, x0, x1,
+					// Most frequent weather of the day
+					weatherType: d3.greatest(d3.rollups(data.filter(d => d.weatherType), v => v.length, d => d.weatherType), r => r[1])?.[0],
+					lines: [
+						this.isValue(minTemperature) && this.isValue(maxTemperature) ? `${maxTemperature.toFixed(0)}° / ${minTemperature.toFixed(0)}°` : "",
+						`${parseFloat(precipitation.toFixed(precipitationUnit.decimals))} ${precipitationUnit.label}` + (this.isValue(probability) ? ` (${probability.toFixed(0)}%)` : ""),
+						sun && this.isValue(sun.sunrise) && this.isValue(sun.sunset) ? `${formatTime(sun.sunrise)} - ${formatTime(sun.sunset)}` : "",
+					],
+				};
+			})
+			.filter(d => d.x1 - d.x0 >= 2 * this.iconSize);
+
+		// Separators
+		this.svgJoin(svg, "line", "daily-summary-separator", "daily-summary-separator", days, d => d.day, line => line
+			.attr("x1", d => d.x0)
+			.attr("x2", d => d.x0)
+			.attr("y1", top)
+			.attr("y2", top + this.getDailySummaryHeight()));
+
+		// Columns (icon and lines centered)
+		const columns = this.svgJoin(svg, "g", "daily-summary", "daily-summary", days, d => d.day, g => g
+			.attr("transform", d => `translate(${(d.x0 + d.x1) / 2}, ${top})`));
+		this.svgJoin(columns, "use", "daily-summary-icon", "daily-summary-icon icon", d => d.weatherType ? [d] : [], undefined, icon => this.setIcon(icon, d => d.weatherType, this.iconSize)
+			.attr("x", -this.iconSize / 2)
+			.attr("y", 0));
+		this.svgJoin(columns, "text", "daily-summary-text", "daily-summary-text", d => d.lines, undefined, text => text
+			.attr("text-anchor", "middle")
+			.attr("dominant-baseline", "hanging")
+			.attr("x", 0)
+			.attr("y", (line, i) => this.iconSize + i * lineHeight)
+			.text(line => line));
 	},
 
 	/**
@@ -404,35 +2085,186 @@ Module.register("MMM-WeatherChartD3", {
 	 * @param {integer} innerWidth Width of the chart (in pixels)
 	 * @param {integer} innerHeight Height of the chart (in pixels)
 	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
+	 * @param {integer} legendBarWidth Width of the legend (in pixels)
+	 * @param {lat, lon} location Coordinates of the location
 	 */
-	svgAddDayNight: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, legendBarWidth) {
-		let sunTimesData = [];
-		let iterd = sortedData[0].date;
-		while (iterd <= sortedData[sortedData.length - 1].date) {
-			sunTimesData.push(SunCalc.getTimes(iterd, this.config.lat, this.config.lon));
-			iterd = iterd.clone().add(1, "d");
-		}
+	svgAddDayNight: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, legendBarWidth, location) {
+		const sunTimesData = this.getSunTimes(sortedData, location);
 
 		const fctNightWidth = (d1, d2) => Math.max(0, Math.min(innerWidth, d2 ? xTime(d2.sunrise) : innerWidth) - Math.max(0, xTime(d1.sunset)));
+		const key = d => +d.sunset;
+
+		// Twilight gradients (from sunset to next sunrise)
+		const twilight = this.config.nightStyle === "twilight";
+		const getGradientId = d => this.getChartElementId(svg, `twilight-${+d.sunset}`);
+		if (twilight) {
+			const gradients = sunTimesData.map((d, i) => {
+				const next = sunTimesData[i + 1] ?? SunCalc.getTimes(d3.timeDay.offset(d.solarNoon, 1), location.lat, location.lon);
+				const [x1, x2] = [xTime(d.sunset), xTime(next.sunrise)];
+				// Opacity of the night at end of each twilight (times are undefined when a twilight does not end, e.g. in summer at high latitudes)
+				const stops = [[d.sunset, 0], [d.dusk, 1 / 3], [d.nauticalDusk, 2 / 3], [d.night, 1], [next.nightEnd, 1], [next.nauticalDawn, 2 / 3], [next.dawn, 1 / 3], [next.sunrise, 0]]
+					.filter(([date]) => !isNaN(date))
+					.map(([date, opacity]) => ({ offset: Math.max(0, Math.min(1, (xTime(date) - x1) / (x2 - x1))), opacity }));
+				return { sunset: d.sunset, x1, x2, stops };
+			}).filter(d => d.x2 > d.x1);
+			const linearGradients = this.svgJoin(svg, "linearGradient", "twilight", "twilight", gradients, key, gradient => gradient
+				.attr("gradientUnits", "userSpaceOnUse")
+				.attr("x1", d => d.x1)
+				.attr("x2", d => d.x2))
+				.attr("id", getGradientId);
+			this.svgJoin(linearGradients, "stop", "twilight-stop", "twilight-stop", d => d.stops, undefined, stop => stop
+				.attr("offset", d => d.offset)
+				.attr("stop-opacity", d => d.opacity));
+		}
 
 		// In graph
-		svg.selectAll("grp").append("g")
-			.data(sunTimesData).enter()
-			.append("rect")
-			.attr("class", "night")
+		this.svgJoin(svg, "rect", "night", twilight ? "night twilight" : "night", sunTimesData, key, rect => rect
 			.attr("x", d => Math.max(xTime(d.sunset), 0))
-			.attr("y", -this.config.iconSize)
+			.attr("y", -this.iconSize)
 			.attr("width", (d, i) => fctNightWidth(d, sunTimesData[i + 1]))
-			.attr("height", innerHeight + this.config.iconSize);
+			.attr("height", innerHeight + this.iconSize))
+			.attr("fill", d => twilight ? `url(#${getGradientId(d)})` : null);
 		// In axis
-		svg.selectAll("grp").append("g")
-			.data(sunTimesData).enter()
-			.append("rect")
-			.attr("class", "axis-night")
+		this.svgJoin(svg, "rect", "axis-night", "axis-night", sunTimesData, key, rect => rect
 			.attr("x", d => Math.max(xTime(d.sunset), 0))
 			.attr("y", innerHeight)
 			.attr("width", (d, i) => fctNightWidth(d, sunTimesData[i + 1]))
-			.attr("height", legendBarWidth);
+			.attr("height", legendBarWidth));
+
+		if (this.config.showMoon) {
+			await this.svgAddMoon(svg, sunTimesData, xTime, innerWidth, innerHeight, location);
+		}
+	},
+
+	/**
+	 * Moon phases (from new moon) as names of weather-icons
+	 */
+	moonPhaseIcons: ["moon-alt-new", "moon-alt-waxing-crescent-3", "moon-alt-first-quarter", "moon-alt-waxing-gibbous-3", "moon-alt-full", "moon-alt-waning-gibbous-3", "moon-alt-third-quarter", "moon-alt-waning-crescent-3"],
+
+	/**
+	 * Adds moon phase of each night (icon at the middle of the night) and moonrise/moonset markers (at the bottom of the chart) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} sunTimesData Sun times by day (@see `getSunTimes`)
+	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {lat, lon} location Coordinates of the location
+	 */
+	svgAddMoon: async function (svg, sunTimesData, xTime, innerWidth, innerHeight, location) {
+		const iconSize = this.iconSize / 2;
+		const isVisible = x => x >= 0 && x <= innerWidth;
+
+		// Phase at the middle of each night
+		const nights = sunTimesData.map((d, i) => {
+			const sunrise = sunTimesData[i + 1]?.sunrise ?? d3.timeHour.offset(d.sunset, 12);
+			const date = new Date((+d.sunset + +sunrise) / 2);
+			const phase = SunCalc.getMoonIllumination(date).phase;
+			return { date, icon: this.moonPhaseIcons[Math.round(phase * this.moonPhaseIcons.length) % this.moonPhaseIcons.length] };
+		}).filter(d => !isNaN(d.date) && isVisible(xTime(d.date)));
+		this.svgJoin(svg, "use", "moon-phase", "moon-phase icon", nights, d => `${+d.date}-${d.icon}`, icon => this.setIcon(icon, d => d.icon, iconSize)
+			.attr("x", d => xTime(d.date) - iconSize / 2)
+			.attr("y", 0));
+
+		// Moonrise/moonset of each day
+		const markers = sunTimesData.flatMap(d => {
+			const moonTimes = SunCalc.getMoonTimes(d.solarNoon, location.lat, location.lon);
+			return [{ date: moonTimes.rise, type: "moonrise" }, { date: moonTimes.set, type: "moonset" }];
+		}).filter(d => d.date !== undefined && isVisible(xTime(d.date)));
+		const size = iconSize / 2;
+		this.svgJoin(svg, "path", "moon-marker", d => `moon-marker ${d.type}`, markers, d => `${d.type}-${+d.date}`, path => path
+			.attr("d", d => d.type === "moonrise" ? `M${-size / 2},0 L0,${-size} L${size / 2},0 Z` : `M${-size / 2},${-size} L0,0 L${size / 2},${-size} Z`)
+			.attr("transform", d => `translate(${xTime(d.date)}, ${innerHeight})`));
+	},
+
+	/**
+	 * Adds raised alerts (shaded periods with the rule label) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} alerts Raised alerts of the location (@see `evaluateAlerts`)
+	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
+	 */
+	svgAddAlerts: async function (svg, alerts, xTime, innerWidth, innerHeight, margins) {
+		const periods = alerts.flatMap((alert, i) => alert.periods.map(period => Object.assign({ alert, i }, period)));
+		const getX = d => Math.max(0, xTime(d.start));
+		const getWidth = d => Math.max(0, Math.min(innerWidth, xTime(d.end)) - getX(d));
+		const key = d => `${d.alert.ruleIndex}-${+d.start}`;
+
+		// Bands
+		this.svgJoin(svg, "rect", "alert", d => `alert alert-${d.alert.ruleIndex}`, periods, key, rect => rect
+			.attr("x", getX)
+			.attr("y", 0)
+			.attr("width", getWidth)
+			.attr("height", innerHeight));
+
+		// Labels
+		this.svgJoin(svg, "text", "alert-label", d => `alert-label alert-${d.alert.ruleIndex}`, periods, key, text => text
+			.attr("text-anchor", "start")
+			.attr("dominant-baseline", "hanging")
+			.attr("x", getX)
+			.attr("y", d => d.i * this.iconSize / 2)
+			.text(d => d.alert.rule.label));
+	},
+
+	/**
+	 * Adds observed values (temperature and feels like temperature) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} dataHistory Observed values (sorted by date)
+	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
+	 */
+	svgAddHistory: async function (svg, dataHistory, xTime, innerHeight, yTemp) {
+		// Background of the observed period
+		this.svgJoin(svg, "rect", "history-area", "history-area", [dataHistory], undefined, rect => rect
+			.attr("x", xTime(dataHistory[0].date))
+			.attr("y", 0)
+			.attr("width", Math.max(0, xTime(dataHistory[dataHistory.length - 1].date) - xTime(dataHistory[0].date)))
+			.attr("height", innerHeight));
+
+		["temperature", "feelsLikeTemp"].forEach(field => {
+			const data = dataHistory.filter(d => this.isValue(d[field]));
+			// Curve
+			this.svgJoin(svg, "path", `history-${field}`, `history ${field} curve`, [data], undefined, path => path
+				.attr("d", d3.line()
+					.x(d => xTime(d.date))
+					.y(d => yTemp(d[field]))
+				));
+			// Observations
+			this.svgJoin(svg, "circle", `history-observation-${field}`, `history ${field} observation`, data, d => +d.date, circle => circle
+				.attr("cx", d => xTime(d.date))
+				.attr("cy", d => yTemp(d[field]))
+				.attr("r", 2));
+		});
+	},
+
+	/**
+	 * Adds a badge with date of displayed data (when data is stale) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {integer} lastUpdate Date of displayed data (timestamp)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 */
+	svgAddStaleBadge: async function (svg, lastUpdate, innerWidth) {
+		const date = moment(lastUpdate);
+		const format = date.isSame(moment(), "day") ? "LT" : "L LT";
+		this.svgJoin(svg, "text", "stale", "stale", [lastUpdate], undefined, text => text
+			.attr("text-anchor", "end")
+			.attr("dominant-baseline", "hanging")
+			.attr("x", innerWidth)
+			.attr("y", -this.iconSize)
+			.text(this.translate("DATA_FROM", { date: date.format(format) })));
+	},
+
+	/**
+	 * Adds a vertical line at current time to SVG (moved by `updateNow`)
+	 * @param {svg} svg SVG of the chart
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 */
+	svgAddNow: async function (svg, innerHeight) {
+		this.svgJoin(svg, "line", "now", "now", [innerHeight], undefined, line => line
+			.attr("y1", -this.iconSize)
+			.attr("y2", innerHeight));
 	},
 
 	/**
@@ -445,27 +2277,18 @@ Module.register("MMM-WeatherChartD3", {
 	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
 	 */
 	svgAddPrecipitation: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		let data = sortedData.filter(d => d.precipitationAmount !== undefined);
+		const data = this.addPeriods(sortedData.filter(d => this.hasPrecipitation(d)));
 
-		// Add slot duration in ms
-		data.forEach((d, i) => d.period = Math.abs(d.date.diff(data[i + (i + 1 < data.length ? 1 : -1)].date)));
+		const getHeightPrecipitation = this.getHeightPrecipitation.bind(this);
+		const unit = `${this.getDisplayUnit("precipitation").label}/h`;
+		const key = d => +d.date;
+		const scales = [];
 
-		data = data.filter(d => d.precipitationAmount !== null);
-
-		const self = this;
-		const getHeightPrecipitation = function (d, withRain = true, withSnow = true) {
-			const deltaInHours = d.period / (60 * 60 * 1000); // ms to hours
-			const precipitations = (withRain ? d.rain ?? 0 : 0) + (withSnow ? d.snow ?? 0 : 0);
-			return parseFloat((precipitations / deltaInHours).toFixed(2));
-		}
-
-		/*
-		// Y axis
-		svg.append("g")
-			.attr("class", "y-axis")
-			.attr("transform", `translate(${innerWidth}, 0)`)
-			.call(d3.axisRight(yAxis));
-		*/
+		// Precipitation probability (in [0 .. 1]) of data giving it
+		const style = this.config.showPrecipitationProbability ? this.config.precipitationProbabilityStyle : "";
+		const dataProbability = style === "" ? [] : this.addPeriods(sortedData.filter(d => this.isValue(d.precipitationProbability)));
+		const getProbability = d => Math.max(0, Math.min(1, d.precipitationProbability / 100));
+		const getWidth = d => Math.max(0, Math.min(innerWidth, xTime(d.date + d.period)) - xTime(d.date));
 
 		if (data.length > 0) {
 			const maxPrecipitations = d3.max(data, d => getHeightPrecipitation(d));
@@ -476,62 +2299,128 @@ Module.register("MMM-WeatherChartD3", {
 				.range([innerHeight, 0]);
 
 			// Y axis icon
-			svg.append("image")
-				.attr("class", "precipitation axis-icon")
-				.attr("x", -this.config.iconSize / 2)
-				.attr("y", yAxis(maxPrecipitations) - this.config.iconSize / 4)
-				.attr("xlink:href", `${this.config.iconURLBase}/wi-raindrop.svg`)
-				.attr("width", this.config.iconSize / 2);
+			this.svgJoin(svg, "use", "axis-icon", "precipitation axis-icon icon", [maxPrecipitations], undefined, icon => this.setIcon(icon, "raindrop", this.iconSize / 2)
+				.attr("x", -this.iconSize / 2)
+				.attr("y", yAxis(maxPrecipitations) - this.iconSize / 4));
 
 			// Y axis (rain) label
-			svg.append("text")
-				.attr("class", "rain axis-label")
+			this.svgJoin(svg, "text", "axis-label", "rain axis-label", this.hasYAxis("precipitation") ? [] : [unit], undefined, text => text
 				.attr("x", innerWidth + margins.left)
 				.attr("y", yAxis(getHeightPrecipitation(data[data.length - 1])))
 				.attr("text-anchor", "start")
-				.text(this.config.units === "imperial" ? "in/h" : "mm/h");
-
-			// Rain/precipitations
-			svg.selectAll("grp").append("g")
-				.data(data).enter()
-				.append("rect")
-				.attr("class", "precipitation curve")
-				.attr("x", d => xTime(d.date))
-				.attr("y", yAxis(0))
-				.attr("transform", d => `translate(0, ${-yAxis(0) + yAxis(getHeightPrecipitation(d, true, !this.config.showSnow))})`)
-				.attr("width", d => Math.min(innerWidth, xTime(d.date + d.period)) - xTime(d.date))
-				.attr("height", d => yAxis(0) - yAxis(getHeightPrecipitation(d, true, !this.config.showSnow)));
-
-			if (this.config.showSnow) {
-				// Snow
-				svg.selectAll("grp").append("g")
-					.data(data.filter(d => d.snow && d.snow !== null)).enter()
-					.append("rect")
-					.attr("class", "snow curve")
+				.text(unit));
+
+			// Opacity of bars by probability (bars without probability keep their style)
+			const getOpacity = d => style === "opacity" && this.isValue(d.precipitationProbability) ? 0.2 + 0.8 * getProbability(d) : null;
+
+			// Stacked bars: rain/precipitations, mixed (sleet, freezing rain) and snow (included in precipitations if not shown)
+			const stacks = this.config.showSnow
+				? [{ name: "precipitation", types: ["rain"] }, { name: "mixed", types: ["mixed"] }, { name: "snow", types: ["snow"] }]
+				: [{ name: "precipitation", types: Object.keys(this.precipitationTypes) }];
+			stacks.forEach((stack, i) => {
+				const getBase = d => d3.sum(stacks.slice(0, i), previous => getHeightPrecipitation(d, previous.types));
+				const getTop = d => getBase(d) + getHeightPrecipitation(d, stack.types);
+				this.svgJoin(svg, "rect", stack.name, `${stack.name} curve`, i === 0 ? data : data.filter(d => getHeightPrecipitation(d, stack.types) > 0), key, rect => rect
 					.attr("x", d => xTime(d.date))
-					.attr("y", yAxis(0))
-					.attr("transform", d => `translate(0, ${-yAxis(0) + yAxis(getHeightPrecipitation(d, false, true))})`)
+					.attr("y", d => yAxis(getTop(d)))
 					.attr("width", d => Math.min(innerWidth, xTime(d.date + d.period)) - xTime(d.date))
-					.attr("height", d => yAxis(0) - yAxis(getHeightPrecipitation(d, false, true)));
+					.attr("height", d => yAxis(getBase(d)) - yAxis(getTop(d)))
+					.style("fill-opacity", getOpacity));
+			});
+
+			// Snow as accumulated depth (during each period) with local maximum values
+			const snowUnit = { cm: { label: "cm", fromMillimeters: v => v / 10 }, in: { label: "in", fromMillimeters: v => v / 25.4 } }[this.config.snowUnits];
+			if (this.config.showSnow && snowUnit !== undefined) {
+				// Depth of snow given by the provider (`snowfall`), else estimated from its water equivalent
+				const toMillimeters = this.getDisplayUnit("precipitation").toBase;
+				const getSnowDepth = d => snowUnit.fromMillimeters(this.isValue(d.snowfall)
+					? toMillimeters(d.snowfall)
+					: this.snowDepthRatio * toMillimeters(this.getAmountPrecipitation(d, ["snow"])));
+				const dataSnow = data.filter(d => getSnowDepth(d) > 0);
+				this.svgJoin(svg, "text", "snow-value", "snow curve-value", this.keepExtremes(dataSnow, getSnowDepth, 0.5).filter(d => getSnowDepth(d) > 0), key, text => text
+					.attr("text-anchor", "start")
+					.attr("x", d => xTime(d.date))
+					.attr("y", d => yAxis(getHeightPrecipitation(d)))
+					.attr("dy", "-1em")
+					.text(d => `${parseFloat(getSnowDepth(d).toFixed(1))} ${snowUnit.label}`));
 			}
 
 			// Precipitation probability
 			let getProba = (d) => "";
-			if (this.config.showPrecipitationProbability) {
-				getProba = (d) => `(${d.precipitationProbability.toFixed(0)}%)`;
+			if (style === "text") {
+				getProba = (d) => this.isValue(d.precipitationProbability) ? `(${d.precipitationProbability.toFixed(0)}%)` : "";
 			}
 
-			const dataExtremes = this.keepExtremes(data, d => getHeightPrecipitation(d), 0.5);
+			const dataExtremes = this.keepExtremes(data, d => getHeightPrecipitation(d), this.deltaFromBase(0.5, this.getDisplayUnit("precipitation")));
 			// Local min/max values as text
-			svg.selectAll("grp")
-				.data(dataExtremes).enter()
-				.append("text")
-				.attr("class", "precipitation curve-value")
+			this.svgJoin(svg, "text", "curve-value", "precipitation curve-value", dataExtremes, key, text => text
 				.attr("text-anchor", "start")
 				.attr("x", d => xTime(d.date))
 				.attr("y", d => yAxis(getHeightPrecipitation(d)))
-				.text(d => `${(getHeightPrecipitation(d)).toFixed(1)} ${getProba(d)}`);
+				.text(d => `${(getHeightPrecipitation(d)).toFixed(1)} ${getProba(d)}`));
+
+			scales.push({ name: "precipitation", yAxis, unit });
+
+			// Running total (at end of each period)
+			if (this.config.showPrecipitationCumulative) {
+				const totals = d3.cumsum(data, d => this.getAmountPrecipitation(d));
+				const dataCumulative = [{ date: +data[0].date, total: 0 }]
+					.concat(data.map((d, i) => ({ date: +d.date + d.period, total: totals[i] })));
+				const unitCumulative = this.getDisplayUnit("precipitation").label;
+				const yCumulative = d3.scaleLinear()
+					.domain([0, Math.max(1, totals[totals.length - 1])])
+					.range([innerHeight, 0]);
+				this.svgJoin(svg, "path", "precipitation-cumulative", "precipitation-cumulative curve", [dataCumulative], undefined, path => path
+					.attr("d", d3.line()
+						.x(d => xTime(d.date))
+						.y(d => yCumulative(d.total))
+					));
+				this.svgJoin(svg, "text", "precipitation-cumulative-value", "precipitation-cumulative curve-value", [dataCumulative[dataCumulative.length - 1]], undefined, text => text
+					.attr("text-anchor", "end")
+					.attr("x", d => Math.min(innerWidth, xTime(d.date)))
+					.attr("y", d => yCumulative(d.total))
+					.attr("dy", "-0.5em")
+					.text(d => `${parseFloat(d.total.toFixed(1))} ${unitCumulative}`));
+				scales.push({ name: "precipitationCumulative", yAxis: yCumulative, unit: unitCumulative });
+			}
+		}
+
+		// Chance of precipitation without amount (outlined slots along the bottom, more opaque if more probable)
+		const chanceHeight = this.iconSize / 4;
+		this.svgJoin(svg, "rect", "precipitation-chance", "precipitation-chance", dataProbability.filter(d => d.precipitationProbability > 0 && !(getHeightPrecipitation(d) > 0)), key, rect => rect
+			.attr("x", d => xTime(d.date))
+			.attr("y", innerHeight - chanceHeight)
+			.attr("width", getWidth)
+			.attr("height", chanceHeight)
+			.style("stroke-opacity", d => 0.2 + 0.8 * getProbability(d)));
+
+		// Heat strip along the bottom
+		this.svgJoin(svg, "rect", "precipitation-probability-strip", "precipitation-probability strip", style === "strip" ? dataProbability : [], key, rect => rect
+			.attr("x", d => xTime(d.date))
+			.attr("y", innerHeight - chanceHeight)
+			.attr("width", getWidth)
+			.attr("height", chanceHeight)
+			.style("fill-opacity", getProbability));
+
+		// Stepped line on a 0-100% axis
+		if (style === "line" && dataProbability.length > 0) {
+			const yProbability = d3.scaleLinear()
+				.domain([0, 100])
+				.range([innerHeight, 0]);
+			this.svgJoin(svg, "path", "precipitation-probability-line", "precipitation-probability curve", [dataProbability], undefined, path => path
+				.attr("d", d3.line().curve(d3.curveStepAfter)
+					.x(d => xTime(d.date))
+					.y(d => yProbability(d.precipitationProbability))
+				));
+			this.svgJoin(svg, "text", "precipitation-probability-label", "precipitation-probability axis-label", this.hasYAxis("precipitationProbability") ? [] : ["%"], undefined, text => text
+				.attr("x", innerWidth + margins.left)
+				.attr("y", yProbability(dataProbability[dataProbability.length - 1].precipitationProbability))
+				.attr("text-anchor", "start")
+				.text("%"));
+			scales.push({ name: "precipitationProbability", yAxis: yProbability, unit: "%" });
 		}
+
+		return scales;
 	},
 
 	/**
@@ -545,14 +2434,85 @@ Module.register("MMM-WeatherChartD3", {
 	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
 	 */
 	svgAddTemperatureMinMax: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp) {
-		svg.append("path")
-			.datum(sortedData.filter(d => d.minTemperature && d.minTemperature !== null && d.minTemperature && d.minTemperature !== null))
-			.attr("class", "min-max-temperature curve")
+		// Gaps where a value is missing
+		const isDefined = d => this.isValue(d.minTemperature) && this.isValue(d.maxTemperature);
+		this.svgJoin(svg, "path", "min-max-temperature", "min-max-temperature curve", sortedData.some(isDefined) ? [sortedData] : [], undefined, path => path
 			.attr("d", d3.area().curve(d3.curveCardinal.tension(0.3))
+				.defined(isDefined)
 				.x(d => xTime(d.date))
 				.y0(d => yTemp(parseFloat(d.minTemperature.toFixed(1))))
 				.y1(d => yTemp(parseFloat(d.maxTemperature.toFixed(1))))
-			);
+			));
+	},
+
+	/**
+	 * Adds temperature bands (e.g. freezing line, comfort range) to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
+	 */
+	svgAddTemperatureBands: async function (svg, innerWidth, yTemp) {
+		const unit = this.getDisplayUnit("temperature");
+		const [min, max] = yTemp.domain();
+		const bands = this.config.temperatureBands
+			.map(band => ({
+				...band,
+				from: Math.max(min, band.from === undefined ? min : unit.fromBase(band.from)),
+				to: Math.min(max, band.to === undefined ? max : unit.fromBase(band.to))
+			}))
+			.filter(band => band.from <= band.to);
+		const key = band => `${band.className}-${band.from}-${band.to}`;
+		const getClass = (band, type) => `temperature-band ${type} ${band.className ?? ""}`.trim();
+
+		// Ranges
+		const ranges = bands.filter(band => band.from < band.to);
+		this.svgJoin(svg, "rect", "temperature-band", d => getClass(d, "range"), ranges, key, rect => rect
+			.attr("x", 0)
+			.attr("y", d => yTemp(d.to))
+			.attr("width", innerWidth)
+			.attr("height", d => yTemp(d.from) - yTemp(d.to)));
+		// Lines
+		const lines = bands.filter(band => band.from === band.to);
+		this.svgJoin(svg, "line", "temperature-band-line", d => getClass(d, "line"), lines, key, line => line
+			.attr("x1", 0)
+			.attr("x2", innerWidth)
+			.attr("y1", d => yTemp(d.from))
+			.attr("y2", d => yTemp(d.from)));
+		// Labels
+		this.svgJoin(svg, "text", "temperature-band-label", "temperature-band-label", bands.filter(band => band.label), key, text => text
+			.attr("text-anchor", "end")
+			.attr("x", innerWidth)
+			.attr("y", d => yTemp(d.to))
+			.attr("dy", "1em")
+			.text(d => d.label));
+	},
+
+	/**
+	 * Adds a vertical gradient coloring the temperature curve by value to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
+	 * @returns {string} Identifier of the gradient
+	 */
+	svgAddTemperatureGradient: function (svg, yTemp) {
+		const unit = this.getDisplayUnit("temperature");
+		const stops = this.config.temperatureGradientStops
+			.map(stop => ({ value: unit.fromBase(stop.value), color: stop.color }))
+			.sort((a, b) => a.value - b.value);
+		const [y1, y2] = [yTemp(stops[0].value), yTemp(stops[stops.length - 1].value)];
+		// Gradient depends on scale of the chart
+		const id = this.getChartElementId(svg, "temperature-gradient");
+
+		const linearGradient = this.svgJoin(svg, "linearGradient", "temperature-gradient", "temperature-gradient", [stops], undefined, gradient => gradient
+			.attr("gradientUnits", "userSpaceOnUse")
+			.attr("x1", 0)
+			.attr("x2", 0)
+			.attr("y1", y1)
+			.attr("y2", y2))
+			.attr("id", id);
+		this.svgJoin(linearGradient, "stop", "temperature-gradient-stop", "temperature-gradient-stop", d => d, undefined, stop => stop
+			.attr("offset", d => y1 === y2 ? 0 : (yTemp(d.value) - y1) / (y2 - y1))
+			.attr("stop-color", d => d.color));
+		return id;
 	},
 
 	/**
@@ -566,52 +2526,42 @@ Module.register("MMM-WeatherChartD3", {
 	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
 	 */
 	svgAddTemperature: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp) {
-		const data = sortedData.filter(d => d.temperature && d.temperature !== null);
+		const data = sortedData.filter(d => this.isValue(d.temperature));
+		if (data.length === 0) {
+			return;
+		}
 		const getValue = d => parseFloat(d.temperature.toFixed(1));
 
-		/*
-		// Y axis
-		svg.append("g")
-			.attr("class", "y-axis")
-			.call(d3.axisLeft(yTemp));
-		*/
-
 		// Y axis icon
-		svg.append("image")
-			.attr("class", "temperature axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yTemp(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-thermometer.svg`)
-			.attr("width", this.config.iconSize / 2);
+		this.svgJoin(svg, "use", "axis-icon", "temperature axis-icon icon", [data[0]], undefined, icon => this.setIcon(icon, "thermometer", this.iconSize / 2)
+			.attr("x", -this.iconSize / 2)
+			.attr("y", yTemp(getValue(data[0])) - this.iconSize / 4));
 
 		// Y axis label
-		svg.append("text")
-			.attr("class", "temperature axis-label")
+		this.svgJoin(svg, "text", "axis-label", "temperature axis-label", this.hasYAxis("temperature") ? [] : [data[data.length - 1]], undefined, text => text
 			.attr("text-anchor", "start")
 			.attr("x", innerWidth + margins.left)
 			.attr("y", yTemp(getValue(data[data.length - 1])))
-			.text(this.config.units === "imperial" ? "°F" : "°C");
+			.text(this.getTemperatureUnit()));
 
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "temperature curve")
+		// Curve (colored by value if gradient is enabled) with gaps where a value is missing
+		const gradientId = this.config.temperatureGradient && this.config.temperatureGradientStops.length > 0 ? this.svgAddTemperatureGradient(svg, yTemp) : undefined;
+		this.svgJoin(svg, "path", "temperature", "temperature curve", [sortedData], undefined, path => path
 			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
+				.defined(d => this.isValue(d.temperature))
 				.x(d => xTime(d.date))
 				.y(d => yTemp(getValue(d)))
-			);
+			))
+			.style("stroke", gradientId ? `url(#${gradientId})` : null);
 
 		const dataExtremes = this.keepExtremes(data, d => getValue(d), 1);
 		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "temperature curve-value")
+		this.svgJoin(svg, "text", "curve-value", "temperature curve-value", dataExtremes, d => +d.date, text => text
 			.attr("text-anchor", "middle")
 			.attr("x", d => xTime(d.date))
 			.attr("y", d => yTemp(getValue(d)))
-			.attr("dy", (d, i) => `${((i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) || (i == 0 && getValue(d) > getValue(dataExtremes[i + 1]))) ? -0.75 : 1.5}em`)
-			.text(d => getValue(d));
+			.attr("dy", (d, i) => `${((i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) || (i == 0 && dataExtremes.length > 1 && getValue(d) > getValue(dataExtremes[i + 1]))) ? -0.75 : 1.5}em`)
+			.text(d => getValue(d)));
 	},
 
 	/**
@@ -625,17 +2575,69 @@ Module.register("MMM-WeatherChartD3", {
 	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
 	 */
 	svgAddFeelsAlikeTemperature: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins, yTemp) {
-		const data = sortedData.filter(d => d.feelsLikeTemp && d.feelsLikeTemp !== null);
 		const getValue = d => parseFloat(d.feelsLikeTemp.toFixed(1));
 
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "feelsLikeTemp curve")
+		// Curve with gaps where a value is missing
+		this.svgJoin(svg, "path", "feelsLikeTemp", "feelsLikeTemp curve", sortedData.some(d => this.isValue(d.feelsLikeTemp)) ? [sortedData] : [], undefined, path => path
 			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
+				.defined(d => this.isValue(d.feelsLikeTemp))
 				.x(d => xTime(d.date))
 				.y(d => yTemp(getValue(d)))
-			);
+			));
+	},
+
+	/**
+	 * Adds temperature of other locations and a legend of all locations to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Array} datasets Data of locations (@see `getLocationData`) - the first one is the location already drawn in chart
+	 * @param {d3.scaleTime} xTime X-axis scale (time)
+	 * @param {integer} innerWidth Width of the chart (in pixels)
+	 * @param {integer} innerHeight Height of the chart (in pixels)
+	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
+	 * @param {d3.scaleLinear} yTemp Y-axis scale (temperature)
+	 */
+	svgAddLocationsTemperature: async function (svg, datasets, xTime, innerWidth, innerHeight, margins, yTemp) {
+		const getValue = d => parseFloat(d.temperature.toFixed(1));
+		const getClass = i => i === 0 ? "temperature" : `location-temperature location-${i}`;
+		const legendData = datasets.map((dataset, i) => ({ dataset, i }));
+		const key = d => d.dataset.location.index;
+
+		// Curves (except the first location) with gaps where a value is missing
+		this.svgJoin(svg, "path", "location-temperature", d => `${getClass(d.i)} curve`, legendData.slice(1), key, path => path
+			.attr("d", location => d3.line().curve(d3.curveCardinal.tension(0.3))
+				.defined(d => this.isValue(d.temperature))
+				.x(d => xTime(d.date))
+				.y(d => yTemp(getValue(d)))(location.dataset.sortedData)
+			));
+
+		// Legend
+		const lineHeight = this.iconSize / 2;
+		const legend = this.svgJoin(svg, "g", "locations-legend", "locations-legend", legendData, key, g => g
+			.attr("transform", d => `translate(${innerWidth + margins.left}, ${(d.i + 1) * lineHeight})`));
+		this.svgJoin(legend, "line", "legend-line", d => `${getClass(d.i)} curve`, d => [d], undefined, line => line
+			.attr("x1", 0)
+			.attr("x2", lineHeight)
+			.attr("y1", -lineHeight / 4)
+			.attr("y2", -lineHeight / 4));
+		this.svgJoin(legend, "text", "legend-text", "axis-label", d => [d], undefined, text => text
+			.attr("text-anchor", "start")
+			.attr("x", lineHeight * 1.25)
+			.text(d => d.dataset.location.name));
+	},
+
+	/**
+	 * Adds name of the location to SVG
+	 * @param {svg} svg SVG of the chart
+	 * @param {Object} dataset Data of the location (@see `getLocationData`)
+	 * @param {integer} legendBarWidth Width of the legend (in pixels)
+	 */
+	svgAddLocationName: async function (svg, dataset, legendBarWidth) {
+		this.svgJoin(svg, "text", "location-name", "location-name", [dataset.location.name], undefined, text => text
+			.attr("text-anchor", "start")
+			.attr("dominant-baseline", "hanging")
+			.attr("x", -legendBarWidth)
+			.attr("y", -this.iconSize)
+			.text(dataset.location.name));
 	},
 
 	/**
@@ -662,302 +2664,244 @@ Module.register("MMM-WeatherChartD3", {
 		function yAxis(d, i) {
 			let nb = 1;
 			if (i > 0) {
-				nb = (xTime(d.date) - xTime(dataIcons[i - 1].date)) / this.config.iconSize;
+				nb = (xTime(d.date) - xTime(dataIcons[i - 1].date)) / this.iconSize;
 			}
-			sumLastStack += nb * this.config.iconSize;
-			if (nb < 1 && sumLastStack < this.config.iconSize) {
-				return -this.config.iconSize + lastPosNb++ * this.config.iconSize / 1.5;
+			sumLastStack += nb * this.iconSize;
+			if (nb < 1 && sumLastStack < this.iconSize) {
+				return -this.iconSize + lastPosNb++ * this.iconSize / 1.5;
 			} else {
 				sumLastStack = 0;
 				lastPosNb = 1;
-				return -this.config.iconSize;
+				return -this.iconSize;
 			}
 		}
+		// Positions are computed once (in order) as entering and updated icons are set separately
+		const positions = new Map(dataIcons.map((d, i) => [d, yAxis.call(this, d, i)]));
 
-		// Icons
-		svg.selectAll("grp").append("g")
-			.data(dataIcons).enter()
-			.append("image") // NB: Adding text with classes "wi weathericon" does not work, so: using svg instead
-			.attr("class", "weather curve")
-			.attr("xlink:href", d => `${this.config.iconURLBase}/wi-${d.weatherType}.svg`)
+		// Icons (a changed icon fades out while the new one fades in)
+		this.svgJoin(svg, "use", "weather", "weather curve icon", dataIcons, d => `${+d.date}-${d.weatherType}`, icon => this.setIcon(icon, d => d.weatherType, this.iconSize)
 			.attr("x", d => xTime(d.date))
-			.attr("y", yAxis.bind(this))
-			.attr("width", this.config.iconSize);
+			.attr("y", d => positions.get(d)));
 	},
 
 	/**
-	 * Adds pressure to SVG
+	 * Adds an interactive crosshair with a tooltip displaying values of the nearest data (following pointer/touch) to SVG
 	 * @param {svg} svg SVG of the chart
-	 * @param {Array} sortedData Concatenation of weatherHourly and weatherDaily
+	 * @param {Object} dataset Data of the location (@see `getLocationData`)
 	 * @param {d3.scaleTime} xTime X-axis scale (time)
 	 * @param {integer} innerWidth Width of the chart (in pixels)
 	 * @param {integer} innerHeight Height of the chart (in pixels)
-	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
 	 */
-	svgAddPressure: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		const data = sortedData.filter(d => d.pressure && d.pressure !== null);
-		const getValue = d => parseFloat(d.pressure.toFixed(0));
-
-		const yAxis = d3.scaleLinear()
-			.domain([Math.min(950, d3.min(data, d => getValue(d))), Math.max(1050, d3.max(data, d => getValue(d)))])
-			.range([innerHeight, 0]);
-
-		// Y axis icon
-		svg.append("image")
-			.attr("class", "pressure axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yAxis(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-barometer.svg`)
-			.attr("width", this.config.iconSize / 2);
-
-		// Y axis label
-		svg.append("text")
-			.attr("class", "pressure axis-label")
-			.attr("text-anchor", "start")
-			.attr("x", innerWidth + margins.left)
-			.attr("y", yAxis(getValue(data[data.length - 1])))
-			.text("hPa");
-
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "pressure curve")
-			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
-				.x(d => xTime(d.date))
-				.y(d => yAxis(getValue(d)))
-			);
-
-		const dataExtremes = this.keepExtremes(data, d => getValue(d), 1);
-		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "pressure curve-value")
-			.attr("text-anchor", "middle")
-			.attr("x", d => xTime(d.date))
-			.attr("y", d => yAxis(getValue(d)))
-			.attr("dy", (d, i) => `${(i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) ? -0.75 : 1}em`)
-			.text(d => getValue(d));
+	svgAddTooltip: async function (svg, dataset, xTime, innerWidth, innerHeight) {
+		const { sortedData, dataPollution } = dataset;
+		const bisectDate = d3.bisector(d => d.date).center;
+		const getNearest = (data, date) => data.length > 0 ? data[bisectDate(data, date)] : undefined;
+		const format = (value, unit, decimals = 1) => `${parseFloat(value.toFixed(decimals))} ${unit}`;
+		const units = {
+			temperature: this.getTemperatureUnit(),
+			precipitation: `${this.getDisplayUnit("precipitation").label}/h`,
+			speed: this.getDisplayUnit("speed").label,
+			pressure: this.getDisplayUnit("pressure").label,
+		};
+		const dataPeriods = this.addPeriods(sortedData);
+
+		// Lines of the tooltip
+		const getLines = (d, dPollution) => [
+			this.isValue(d.temperature) && format(d.temperature, units.temperature),
+			this.isValue(d.feelsLikeTemp) && `${this.translate("FEELS_LIKE")} ${format(d.feelsLikeTemp, units.temperature)}`,
+			this.hasPrecipitation(d) && d.period && `${this.translate("PRECIPITATION")} ${format(this.getHeightPrecipitation(d), units.precipitation, 2)}`
+				+ (this.isValue(d.precipitationProbability) ? ` (${d.precipitationProbability.toFixed(0)}%)` : ""),
+			this.isValue(d.windSpeed) && `${this.translate("WIND")} ${format(d.windSpeed, units.speed, 0)}`,
+			this.isValue(d.humidity) && `${this.translate("HUMIDITY")} ${d.humidity.toFixed(0)} %`,
+			this.isValue(d.pressure) && `${this.translate("PRESSURE")} ${format(d.pressure, units.pressure, 0)}`,
+			this.isValue(d.uv_index) && `${this.translate("UVI")} ${d.uv_index.toFixed(1)}`,
+			this.isValue(dPollution?.aqi) && `${this.translate("AQI")} ${dPollution.aqi.toFixed(0)}`,
+		].filter(line => line);
+
+		const crosshair = this.svgJoin(svg, "line", "crosshair", "crosshair", [innerHeight], undefined, line => line
+			.attr("y1", 0)
+			.attr("y2", innerHeight))
+			.style("display", "none");
+
+		const tooltip = this.svgJoin(svg, "g", "tooltip", "tooltip", [null], undefined, () => { })
+			.style("display", "none");
+		const tooltipBackground = this.svgJoin(tooltip, "rect", "tooltip-background", "tooltip-background", [null], undefined, rect => rect
+			.attr("rx", 4));
+		const tooltipIcon = this.svgJoin(tooltip, "use", "tooltip-icon", "tooltip-icon icon", [null], undefined, icon => icon
+			.attr("width", this.iconSize / 2)
+			.attr("height", this.iconSize / 2));
+		const tooltipText = this.svgJoin(tooltip, "text", "tooltip-text", "tooltip-text", [null], undefined, () => { });
+
+		const show = (event) => {
+			const [x] = d3.pointer(event.touches?.[0] ?? event, svg.node());
+			const date = xTime.invert(Math.max(0, Math.min(innerWidth, x)));
+			const d = getNearest(dataPeriods, date);
+			const xNearest = xTime(d.date);
+
+			crosshair.style("display", null)
+				.attr("x1", xNearest)
+				.attr("x2", xNearest);
+
+			// Text
+			const lineHeight = this.iconSize / 2;
+			tooltipText.selectAll("tspan").remove();
+			tooltipText.selectAll("tspan")
+				.data([d3.timeFormat("%a %d %H:%M")(d.date)].concat(getLines(d, getNearest(dataPollution, date))))
+				.enter()
+				.append("tspan")
+				.attr("x", 0)
+				.attr("dy", (line, i) => i === 0 ? 0 : lineHeight)
+				.text(line => line);
+			tooltipIcon.attr("href", d.weatherType ? `#${this.getIconId(d.weatherType)}` : null)
+				.attr("x", 0)
+				.attr("y", -2 * lineHeight);
+
+			// Background and position (on the opposite side of the pointer to stay in chart)
+			const box = tooltipText.node().getBBox();
+			const padding = 4;
+			tooltipBackground
+				.attr("x", box.x - padding)
+				.attr("y", -2 * lineHeight - padding)
+				.attr("width", box.width + 2 * padding)
+				.attr("height", box.y + box.height + 2 * lineHeight + 2 * padding);
+			if (this.isVertical()) {
+				// Rotated to be horizontal, from bottom of the chart (left side of the rotated chart)
+				const height = box.y + box.height + 2 * lineHeight + 2 * padding;
+				const tx = (xNearest > innerWidth / 2 ? xNearest - height - 3 * padding : xNearest + 3 * padding) + 2 * lineHeight + padding;
+				tooltip.style("display", null)
+					.attr("transform", `translate(${tx}, ${innerHeight - padding}) rotate(-90)`);
+			} else {
+				const tx = xNearest > innerWidth / 2 ? xNearest - box.width - 3 * padding : xNearest + 3 * padding;
+				tooltip.style("display", null)
+					.attr("transform", `translate(${tx}, ${2 * lineHeight + padding})`);
+			}
+		};
+		const hide = () => {
+			crosshair.style("display", "none");
+			tooltip.style("display", "none");
+		};
+
+		// Transparent area catching pointer events (handlers are replaced at each render to use new data)
+		this.svgJoin(svg, "rect", "tooltip-area", "tooltip-area", [innerWidth], undefined, rect => rect
+			.attr("width", innerWidth)
+			.attr("height", innerHeight))
+			.on("pointermove pointerdown touchstart touchmove", show)
+			.on("pointerleave touchend", hide);
 	},
 
 	/**
-	 * Adds humidity to SVG
+	 * Adds a series (@see `getSeries`) to SVG
 	 * @param {svg} svg SVG of the chart
-	 * @param {Array} sortedData Concatenation of weatherHourly and weatherDaily
+	 * @param {Array} sortedData Data of the series source (concatenation of weatherHourly and weatherDaily, or pollutionForecast)
+	 * @param {Object} series Definition of the series
 	 * @param {d3.scaleTime} xTime X-axis scale (time)
 	 * @param {integer} innerWidth Width of the chart (in pixels)
 	 * @param {integer} innerHeight Height of the chart (in pixels)
 	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
 	 */
-	svgAddHumidity: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		const data = sortedData.filter(d => d.humidity && d.humidity !== null);
-		const getValue = d => parseFloat(d.humidity.toFixed(0));
-
+	svgAddSeries: async function (svg, sortedData, series, xTime, innerWidth, innerHeight, margins) {
+		const isDefined = d => this.isValue(d[series.field]);
+		const data = sortedData.filter(isDefined);
+		if (data.length === 0) {
+			return;
+		}
+		const getValue = d => parseFloat(series.convert(d[series.field]).toFixed(series.decimals));
+		const isBandDefined = d => isDefined(d) && this.isValue(d[series.bandField]);
+		const dataBand = series.bandField === undefined ? [] : data.filter(isBandDefined);
+		const getBandValue = d => parseFloat(series.convert(d[series.bandField]).toFixed(series.decimals));
+
+		// Domain is extended to data values (a null bound is defined by data only)
+		const dataMax = Math.max(d3.max(data, getValue), d3.max(dataBand, getBandValue) ?? -Infinity);
+		const domain = [
+			series.domain[0] === null ? d3.min(data, getValue) : Math.min(series.domain[0], d3.min(data, getValue)),
+			series.domain[1] === null ? dataMax : Math.max(series.domain[1], dataMax),
+		];
 		const yAxis = d3.scaleLinear()
-			.domain([0, 100])
-			.range([innerHeight, 0]);
-
-		// Y axis icon
-		svg.append("image")
-			.attr("class", "humidity axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yAxis(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-humidity.svg`)
-			.attr("width", this.config.iconSize / 2);
-
-		// Y axis label
-		svg.append("text")
-			.attr("class", "humidity axis-label")
-			.attr("text-anchor", "start")
-			.attr("x", innerWidth + margins.left)
-			.attr("y", yAxis(getValue(data[data.length - 1])))
-			.text("%");
-
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "humidity curve")
-			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
-				.x(d => xTime(d.date))
-				.y(d => yAxis(getValue(d)))
-			);
-
-		const dataExtremes = this.keepExtremes(data, d => getValue(d), 4);
-		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "humidity curve-value")
-			.attr("text-anchor", "middle")
-			.attr("x", d => xTime(d.date))
-			.attr("y", d => yAxis(getValue(d)))
-			.attr("dy", (d, i) => `${(i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) ? -0.75 : 1}em`)
-			.text(d => getValue(d));
-	},
-
-	/**
-	 * Adds wind to SVG
-	 * @param {svg} svg SVG of the chart
-	 * @param {Array} sortedData Concatenation of weatherHourly and weatherDaily
-	 * @param {d3.scaleTime} xTime X-axis scale (time)
-	 * @param {integer} innerWidth Width of the chart (in pixels)
-	 * @param {integer} innerHeight Height of the chart (in pixels)
-	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
-	 */
-	svgAddWind: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		const data = sortedData.filter(d => d.windSpeed && d.windSpeed !== null);
-		const getValue = d => parseFloat(d.windSpeed.toFixed(0));
+			.domain(series.reverse ? [domain[1], domain[0]] : domain)
+			.range([innerHeight, series.topPadding * this.iconSize]);
 
-		const yAxis = d3.scaleLinear()
-			.domain([0, Math.max(50, d3.max(data, d => getValue(d)))])
-			.range([innerHeight, 0]);
+		const key = d => +d.date;
 
 		// Y axis icon
-		svg.append("image")
-			.attr("class", "wind axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yAxis(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-strong-wind.svg`)
-			.attr("width", this.config.iconSize / 2);
+		this.svgJoin(svg, "use", "axis-icon", `${series.className} axis-icon icon`, [data[0]], undefined, icon => this.setIcon(icon, series.icon, this.iconSize / 2)
+			.attr("x", -this.iconSize / 2)
+			.attr("y", yAxis(getValue(data[0])) - this.iconSize / 4));
 
 		// Y axis label
-		svg.append("text")
-			.attr("class", "wind axis-label")
+		const unit = typeof series.unit === "object" ? series.unit[this.config.units] : series.unit;
+		this.svgJoin(svg, "text", "axis-label", `${series.className} axis-label`, this.hasYAxis(series.name) ? [] : [unit], undefined, text => text
 			.attr("text-anchor", "start")
 			.attr("x", innerWidth + margins.left)
 			.attr("y", yAxis(getValue(data[data.length - 1])))
-			.text(this.config.units === "imperial" ? "mi/h" : "km/h");
+			.text(unit));
 
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "wind curve")
-			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
+		// Band (e.g. gusts) - curves have gaps where a value is missing
+		this.svgJoin(svg, "path", "band", `${series.className} band`, dataBand.length > 0 ? [sortedData] : [], undefined, path => path
+			.attr("d", d3.area().curve(d3.curveCardinal.tension(series.tension))
+				.defined(isBandDefined)
 				.x(d => xTime(d.date))
-				.y(d => yAxis(getValue(d)))
-			);
-
-		const dataExtremes = this.keepExtremes(data, d => getValue(d), 1);
-		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "wind curve-value")
-			.attr("text-anchor", "middle")
-			.attr("x", d => xTime(d.date))
-			.attr("y", d => yAxis(getValue(d)))
-			.attr("dy", (d, i) => `${(i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) ? -0.75 : 1}em`)
-			.text(d => getValue(d));
-	},
-
-	/**
-	 * Adds UVI to SVG
-	 * @param {svg} svg SVG of the chart
-	 * @param {Array} sortedData Concatenation of weatherHourly and weatherDaily
-	 * @param {d3.scaleTime} xTime X-axis scale (time)
-	 * @param {integer} innerWidth Width of the chart (in pixels)
-	 * @param {integer} innerHeight Height of the chart (in pixels)
-	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
-	 */
-	svgAddUvi: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		const data = sortedData.filter(d => d.uv_index && d.uv_index !== null);
-		const getValue = d => parseFloat(d.uv_index.toFixed(1));
-
-		const yAxis = d3.scaleLinear()
-			.domain([0, Math.max(10, d3.max(data, d => getValue(d)))])
-			.range([innerHeight, 0]);
-
-		// Y axis icon
-		svg.append("image")
-			.attr("class", "uvi axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yAxis(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-day-sunny.svg`)
-			.attr("width", this.config.iconSize / 2);
-
-		// Y axis label
-		svg.append("text")
-			.attr("class", "uvi axis-label")
-			.attr("text-anchor", "start")
-			.attr("x", innerWidth + margins.left)
-			.attr("y", yAxis(getValue(data[data.length - 1])))
-			.text("UV");
+				.y0(d => yAxis(getValue(d)))
+				.y1(d => yAxis(getBandValue(d)))
+			));
 
 		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "uvi curve")
-			.attr("d", d3.line().curve(d3.curveCardinal.tension(0.3))
-				.x(d => xTime(d.date))
-				.y(d => yAxis(getValue(d)))
-			);
+		const className = `${series.className} curve curve-${series.curve}`;
+		switch (series.curve) {
+			case "bar":
+				// Periods of the source data (a missing value is not covered by the previous one)
+				this.svgJoin(svg, "rect", "curve", className, this.addPeriods(sortedData).filter(isDefined), key, rect => rect
+					.attr("x", d => xTime(d.date))
+					.attr("y", d => Math.min(yAxis(getValue(d)), yAxis(domain[0])))
+					.attr("width", d => Math.max(0, Math.min(innerWidth, xTime(d.date + d.period)) - xTime(d.date)))
+					.attr("height", d => Math.abs(yAxis(domain[0]) - yAxis(getValue(d)))));
+				break;
+			case "area":
+				this.svgJoin(svg, "path", "curve", className, [sortedData], undefined, path => path
+					.attr("d", d3.area().curve(d3.curveCardinal.tension(series.tension))
+						.defined(isDefined)
+						.x(d => xTime(d.date))
+						.y0(yAxis(domain[0]))
+						.y1(d => yAxis(getValue(d)))
+					));
+				break;
+			default:
+				this.svgJoin(svg, "path", "curve", className, [sortedData], undefined, path => path
+					.attr("d", d3.line().curve(d3.curveCardinal.tension(series.tension))
+						.defined(isDefined)
+						.x(d => xTime(d.date))
+						.y(d => yAxis(getValue(d)))
+					));
+		}
 
-		const dataExtremes = this.keepExtremes(data, d => getValue(d), 1);
-		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "uvi curve-value")
+		const dataExtremes = this.keepExtremes(data, d => getValue(d), series.extremesDelta);
+		// Local min/max values as text (above curve if greater than previous value)
+		const isAbove = (d, i) => (i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) !== series.reverse;
+		this.svgJoin(svg, "text", "curve-value", `${series.className} curve-value`, dataExtremes, key, text => text
 			.attr("text-anchor", "middle")
 			.attr("x", d => xTime(d.date))
 			.attr("y", d => yAxis(getValue(d)))
-			.attr("dy", (d, i) => `${(i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) ? -0.75 : 1}em`)
-			.text(d => getValue(d));
-	},
-
-	/**
-	 * Adds AQI to SVG
-	 * @param {svg} svg SVG of the chart
-	 * @param {Array} sortedData pollutionForecast
-	 * @param {d3.scaleTime} xTime X-axis scale (time)
-	 * @param {integer} innerWidth Width of the chart (in pixels)
-	 * @param {integer} innerHeight Height of the chart (in pixels)
-	 * @param {top, right, bottom, left} margins Margins of the chart (in pixels)
-	 */
-	svgAddAqi: async function (svg, sortedData, xTime, innerWidth, innerHeight, margins) {
-		const data = sortedData.filter(d => d.aqi && d.aqi !== null);
-		const getValue = d => parseFloat(d.aqi.toFixed(1));
-
-		const yAxis = d3.scaleLinear()
-			.domain([Math.max(5, d3.max(data, d => getValue(d))), Math.max(1, d3.min(data, d => getValue(d)))])
-			.range([innerHeight, 2 * this.config.iconSize]);
-
-		// Y axis icon
-		svg.append("image")
-			.attr("class", "aqi axis-icon")
-			.attr("x", -this.config.iconSize / 2)
-			.attr("y", yAxis(getValue(data[0])) - this.config.iconSize / 4)
-			.attr("xlink:href", `${this.config.iconURLBase}/wi-train.svg`)
-			.attr("width", this.config.iconSize / 2);
-
-		// Y axis label
-		svg.append("text")
-			.attr("class", "aqi axis-label")
-			.attr("text-anchor", "start")
-			.attr("x", innerWidth + margins.left)
-			.attr("y", yAxis(getValue(data[data.length - 1])))
-			.text("AQI");
-
-		// Curve
-		svg.append("path")
-			.datum(data)
-			.attr("class", "aqi curve")
-			.attr("d", d3.line().curve(d3.curveCardinal.tension(1))
-				.x(d => xTime(d.date))
-				.y(d => yAxis(getValue(d)))
-			);
+			.attr("dy", (d, i) => `${isAbove(d, i) ? -0.75 : 1}em`)
+			.text(d => getValue(d)));
+
+		// Direction arrows (pointing where it goes), thinned to avoid overlaps
+		let dataDirection = [];
+		const arrowSize = this.iconSize / 3;
+		if (series.directionField !== undefined) {
+			let lastX = -Infinity;
+			dataDirection = data.filter(d => {
+				const x = xTime(d.date);
+				if (!this.isValue(d[series.directionField]) || x - lastX < 1.5 * arrowSize) {
+					return false;
+				}
+				lastX = x;
+				return true;
+			});
+		}
+		this.svgJoin(svg, "path", "direction", `${series.className} direction`, dataDirection, key, path => path
+			.attr("d", `M0,${-arrowSize / 2} L${arrowSize / 3},${arrowSize / 2} L0,${arrowSize / 4} L${-arrowSize / 3},${arrowSize / 2} Z`)
+			.attr("transform", d => `translate(${xTime(d.date)}, ${yAxis(getValue(d))}) rotate(${(d[series.directionField] + (this.isVertical() ? 90 : 180)) % 360})`));
 
-		const dataExtremes = this.keepExtremes(data, d => getValue(d), 0.5);
-		// Local min/max values as text
-		svg.selectAll("grp")
-			.data(dataExtremes).enter()
-			.append("text")
-			.attr("class", "aqi curve-value")
-			.attr("text-anchor", "middle")
-			.attr("x", d => xTime(d.date))
-			.attr("y", d => yAxis(getValue(d)))
-			.attr("dy", (d, i) => `${(i > 0 && getValue(d) > getValue(dataExtremes[i - 1])) ? 1 : -0.75}em`)
-			.text(d => getValue(d));
+		return { name: series.name, yAxis, unit };
 	},
 
 });
@@ -0,0 +1,185 @@
+/**
+ * Mock weather provider of MMM-WeatherChartD3: synthetic data (or data of a fixture file) to develop and test the module offline.
+ * Configured as any provider: `weatherProvider: "mock"`
+ * @see `README.md`
+ * @author Sébastien Mazzon
+ * @license MIT - @see `LICENCE.txt`
+ */
+"use strict";
+
+WeatherProvider.register("mock", {
+	providerName: "Mock",
+
+	/**
+	 * Default options of the provider (merged with the configuration of the location)
+	 */
+	defaults: {
+		fixtureURL: "", // URL of a JSON fixture {current, hourly, daily, pollution} - empty to generate synthetic data
+		mockHours: 48, // Number of hourly forecasts generated
+		mockDays: 7, // Number of daily forecasts generated
+		mockDelay: 0, // Delay before data is available (in milliseconds)
+		mockUnsupported: [], // Data not fetched, to mimic a provider without them: current, hourly, daily and/or pollution
+		mockMissingFields: [], // Fields removed from generated data (e.g. feelsLikeTemp, uv_index)
+	},
+
+	/**
+	 * Methods to fetch each kind of data
+	 */
+	fetchMethods: {
+		current: "fetchCurrentWeather",
+		hourly: "fetchWeatherHourly",
+		daily: "fetchWeatherForecast",
+		pollution: "fetchPollutionForecast",
+	},
+
+	/**
+	 * Removes methods of unsupported data (detected as not implemented)
+	 */
+	start: function () {
+		this._super();
+		(this.config.mockUnsupported ?? []).forEach(kind => this[this.fetchMethods[kind]] = undefined);
+		this.pollution = [];
+	},
+
+	fetchCurrentWeather: function () {
+		this.fetchMock(data => this.setCurrentWeather(data.current));
+	},
+
+	fetchWeatherHourly: function () {
+		this.fetchMock(data => this.setWeatherHourly(data.hourly));
+	},
+
+	fetchWeatherForecast: function () {
+		this.fetchMock(data => this.setWeatherForecast(data.daily));
+	},
+
+	fetchPollutionForecast: function () {
+		this.fetchMock(data => this.pollution = data.pollution);
+	},
+
+	/**
+	 * Retrieves data and notifies the module
+	 * @param {Function} store Stores the retrieved data into the provider
+	 */
+	fetchMock: function (store) {
+		this.getData()
+			.then(data => {
+				store(data);
+				this.updateAvailable();
+			})
+			.catch(error => Log.error(`Weather provider ${this.providerName}: ${error}`));
+	},
+
+	/**
+	 * Returns the pollution forecast
+	 * @returns {Array} Pollution forecast (with `aqi`)
+	 */
+	pollutionForecast: function () {
+		return this.pollution;
+	},
+
+	/**
+	 * Returns data of the fixture or synthetic data (after `mockDelay`)
+	 * @returns {Promise} Data {current, hourly, daily, pollution}
+	 */
+	getData: async function () {
+		await new Promise(resolve => setTimeout(resolve, this.config.mockDelay));
+		const data = this.config.fixtureURL ? await this.loadFixture(this.config.fixtureURL) : this.generateData();
+		// Removes missing fields
+		const removeFields = d => {
+			const result = Object.assign({}, d);
+			(this.config.mockMissingFields ?? []).forEach(field => delete result[field]);
+			return result;
+		};
+		return {
+			current: data.current ? removeFields(data.current) : undefined,
+			hourly: (data.hourly ?? []).map(removeFields),
+			daily: (data.daily ?? []).map(removeFields),
+			pollution: (data.pollution ?? []).map(removeFields),
+		};
+	},
+
+	/**
+	 * Loads a fixture file
+	 * Dates of items are either a number of hours from the current hour (to be always up to date) or a date string
+	 * @param {string} url URL of the fixture
+	 * @returns {Promise} Data {current, hourly, daily, pollution}
+	 */
+	loadFixture: async function (url) {
+		const response = await fetch(url);
+		if (!response.ok) {
+			throw new Error(`Unable to load fixture ${url}: ${response.status}`);
+		}
+		const fixture = await response.json();
+		const now = moment().startOf("hour");
+		const toWeatherObject = d => Object.assign({}, d, {
+			date: typeof d.date === "number" ? moment(now).add(d.date, "hours") : moment(d.date),
+		});
+		return {
+			current: fixture.current ? toWeatherObject(fixture.current) : undefined,
+			hourly: (fixture.hourly ?? []).map(toWeatherObject),
+			daily: (fixture.daily ?? []).map(toWeatherObject),
+			pollution: (fixture.pollution ?? []).map(toWeatherObject),
+		};
+	},
+
+	/**
+	 * Generates synthetic data (a daily cycle of temperature with rain showers every 30 hours)
+	 * Values only depend on dates, so consecutive updates give the same data
+	 * Values are in units of the module option `providerUnits`
+	 * @returns {Object} Data {current, hourly, daily, pollution}
+	 */
+	generateData: function () {
+		const now = moment().startOf("hour");
+		const imperial = this.config.providerUnits === "imperial";
+		const convert = {
+			temperature: value => imperial ? value * 9 / 5 + 32 : value,
+			speed: value => imperial ? value * 2.236936 : value,
+			precipitation: value => imperial ? value / 25.4 : value,
+		};
+		const round = (value, decimals = 1) => parseFloat(value.toFixed(decimals));
+
+		// Weather of a date (in metric units)
+		const getWeather = date => {
+			const hours = date.valueOf() / (60 * 60 * 1000);
+			const hourOfDay = date.hours();
+			const isDay = hourOfDay >= 7 && hourOfDay < 20;
+			const temperature = 12 + 6 * Math.sin(2 * Math.PI * (hourOfDay - 9) / 24) + 4 * Math.sin(2 * Math.PI * hours / (24 * 5));
+			const windSpeed = 3 + 2 * Math.sin(hours / 7) + Math.sin(hours / 2);
+			const shower = Math.max(0, 3 * Math.sin(2 * Math.PI * hours / 30) - 1.5);
+			const rain = temperature > 1 ? shower : 0;
+			const snow = temperature > 1 ? 0 : shower;
+			return {
+				date: moment(date),
+				temperature: round(convert.temperature(temperature)),
+				feelsLikeTemp: round(convert.temperature(temperature - 0.4 * windSpeed)),
+				humidity: Math.round(70 - 20 * Math.sin(2 * Math.PI * (hourOfDay - 9) / 24) + 5 * shower),
+				pressure: round(1013 + 8 * Math.sin(2 * Math.PI * hours / (24 * 3))),
+				windSpeed: round(convert.speed(windSpeed)),
+				windGust: round(convert.speed(1.6 * windSpeed)),
+				windFromDirection: Math.round(hours * 7) % 360,
+				rain: round(convert.precipitation(rain), 2),
+				snow: round(convert.precipitation(snow), 2),
+				precipitationAmount: round(convert.precipitation(shower), 2),
+				precipitationProbability: Math.round(Math.min(100, 40 * Math.max(0, 3 * Math.sin(2 * Math.PI * hours / 30) - 0.5))),
+				uv_index: isDay ? round(Math.max(0, 6 * Math.sin(Math.PI * (hourOfDay - 7) / 13))) : 0,
+				weatherType: shower > 0 ? (snow > 0 ? "snow" : "rain") : (isDay ? "day-sunny" : "night-clear"),
+			};
+		};
+
+		const hourly = d3.range(this.config.mockHours).map(i => getWeather(moment(now).add(i, "hours")));
+		const daily = d3.range(this.config.mockDays).map(i => {
+			const day = moment(now).startOf("day").add(i, "days");
+			const hours = d3.range(24).map(hour => getWeather(moment(day).add(hour, "hours")));
+			return Object.assign(getWeather(moment(day).add(12, "hours")), {
+				minTemperature: d3.min(hours, d => d.temperature),
+				maxTemperature: d3.max(hours, d => d.temperature),
+				rain: round(d3.sum(hours, d => d.rain), 2),
+				snow: round(d3.sum(hours, d => d.snow), 2),
+				precipitationAmount: round(d3.sum(hours, d => d.precipitationAmount), 2),
+			});
+		});
+		const pollution = hourly.map(d => ({ date: moment(d.date), aqi: round(3 + 2 * Math.sin(d.date.valueOf() / (60 * 60 * 1000) / 11), 0) }));
+		return { current: getWeather(moment()), hourly, daily, pollution };
+	},
+});
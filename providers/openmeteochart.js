@@ -0,0 +1,258 @@
+/**
+ * Open-Meteo weather provider of MMM-WeatherChartD3: free forecasts without API key, with air quality from a separate feed.
+ * Hourly and daily time series are mapped to weather objects displayed by the module (including UV index and AQI).
+ * Configured as any provider: `weatherProvider: "openmeteochart"`
+ * @see `README.md`
+ * @see <https://open-meteo.com/en/docs>
+ * @author Sébastien Mazzon
+ * @license MIT - @see `LICENCE.txt`
+ */
+"use strict";
+
+WeatherProvider.register("openmeteochart", {
+	providerName: "Open-Meteo",
+
+	/**
+	 * Default options of the provider (merged with the configuration of the location)
+	 */
+	defaults: {
+		apiBase: "https://api.open-meteo.com/v1", // Base URL of the forecast feed (e.g. a local server to test)
+		airQualityApiBase: "https://air-quality-api.open-meteo.com/v1", // Base URL of the air quality feed
+		aqiIndex: "european", // Possible values: european or us - index converted to the 1 (good) to 5 (very poor) scale of `aqi`
+		forecastDays: 7, // Number of days of forecasts (1 to 16)
+		forecastHours: 48, // Number of hours of hourly forecasts (from current hour), followed by daily forecasts
+	},
+
+	/**
+	 * Fields of weather objects by variable of hourly (and current) time series
+	 */
+	hourlyFields: {
+		temperature: "temperature_2m",
+		feelsLikeTemp: "apparent_temperature",
+		humidity: "relative_humidity_2m",
+		dewPoint: "dew_point_2m",
+		pressure: "pressure_msl",
+		cloudiness: "cloud_cover",
+		windSpeed: "wind_speed_10m",
+		windGust: "wind_gusts_10m",
+		windFromDirection: "wind_direction_10m",
+		precipitationAmount: "precipitation",
+		precipitationProbability: "precipitation_probability",
+		uv_index: "uv_index",
+	},
+
+	/**
+	 * Fields of weather objects by variable of daily time series
+	 */
+	dailyFields: {
+		minTemperature: "temperature_2m_min",
+		maxTemperature: "temperature_2m_max",
+		minFeelsLikeTemp: "apparent_temperature_min",
+		maxFeelsLikeTemp: "apparent_temperature_max",
+		windSpeed: "wind_speed_10m_max",
+		windGust: "wind_gusts_10m_max",
+		windFromDirection: "wind_direction_10m_dominant",
+		precipitationAmount: "precipitation_sum",
+		precipitationProbability: "precipitation_probability_max",
+		uv_index: "uv_index_max",
+	},
+
+	/**
+	 * Upper bounds of AQI levels 1 to 4 by index (above: level 5)
+	 */
+	aqiLevels: {
+		european: [20, 40, 60, 80],
+		us: [50, 100, 150, 200],
+	},
+
+	/**
+	 * Icons (weather-icons name without `wi-` prefix, for day and night) by WMO weather code
+	 */
+	weatherTypes: [
+		{ codes: [0], day: "day-sunny", night: "night-clear" },
+		{ codes: [1, 2], day: "day-cloudy", night: "night-alt-cloudy" },
+		{ codes: [3], day: "cloudy", night: "cloudy" },
+		{ codes: [45, 48], day: "day-fog", night: "night-fog" },
+		{ codes: [51, 53, 55], day: "day-sprinkle", night: "night-sprinkle" },
+		{ codes: [56, 57, 66, 67], day: "day-sleet", night: "night-alt-sleet" },
+		{ codes: [61, 63, 65], day: "day-rain", night: "night-alt-rain" },
+		{ codes: [71, 73, 75, 77, 85, 86], day: "day-snow", night: "night-alt-snow" },
+		{ codes: [80, 81, 82], day: "day-showers", night: "night-alt-showers" },
+		{ codes: [95, 96, 99], day: "day-thunderstorm", night: "night-alt-thunderstorm" },
+	],
+
+	/**
+	 * Responses of feeds by URL (shared by the fetches of an update)
+	 */
+	requests: undefined,
+
+	start: function () {
+		this._super();
+		this.requests = new Map();
+		this.pollution = [];
+	},
+
+	fetchCurrentWeather: function () {
+		this.fetchFeed(this.getForecastURL(), data => this.setCurrentWeather(this.toWeatherObject(data.current, this.hourlyFields, data.current.time)));
+	},
+
+	fetchWeatherHourly: function () {
+		this.fetchFeed(this.getForecastURL(), data => this.setWeatherHourly(this.toWeatherObjects(data.hourly, this.hourlyFields)));
+	},
+
+	fetchWeatherForecast: function () {
+		// Temperatures of a day are the average of its min and max values
+		const average = (min, max) => typeof min === "number" && typeof max === "number" ? (min + max) / 2 : undefined;
+		this.fetchFeed(this.getForecastURL(), data => this.setWeatherForecast(this.toWeatherObjects(data.daily, this.dailyFields)
+			.map((d, i) => Object.assign(d, {
+				temperature: average(d.minTemperature, d.maxTemperature),
+				feelsLikeTemp: average(d.minFeelsLikeTemp, d.maxFeelsLikeTemp),
+				sunrise: moment.unix(data.daily.sunrise[i]),
+				sunset: moment.unix(data.daily.sunset[i]),
+			}))));
+	},
+
+	fetchPollutionForecast: function () {
+		this.fetchFeed(this.getAirQualityURL(), data => this.pollution = data.hourly.time.map((time, i) => ({
+			date: moment.unix(time),
+			aqi: this.toAqiLevel(data.hourly[`${this.config.aqiIndex}_aqi`]?.[i]),
+			european_aqi: data.hourly.european_aqi?.[i],
+			us_aqi: data.hourly.us_aqi?.[i],
+		})));
+	},
+
+	/**
+	 * Returns the pollution forecast
+	 * @returns {Array} Pollution forecast (with `aqi`, `european_aqi` and `us_aqi`)
+	 */
+	pollutionForecast: function () {
+		return this.pollution;
+	},
+
+	/**
+	 * Retrieves a feed and notifies the module
+	 * Fetches of the same URL within 10 seconds (e.g. hourly and daily forecasts of an update) share the same request
+	 * @param {string} url URL of the feed
+	 * @param {Function} store Stores the retrieved data into the provider
+	 */
+	fetchFeed: function (url, store) {
+		let request = this.requests.get(url);
+		if (request === undefined || Date.now() - request.date > 10 * 1000) {
+			request = {
+				date: Date.now(),
+				response: fetch(url).then(response => {
+					if (!response.ok) {
+						throw new Error(`${response.status} ${response.statusText}`);
+					}
+					return response.json();
+				}),
+			};
+			this.requests.set(url, request);
+		}
+		request.response
+			.then(data => {
+				store(data);
+				this.updateAvailable();
+			})
+			.catch(error => Log.error(`Weather provider ${this.providerName}: unable to fetch ${url}: ${error}`));
+	},
+
+	/**
+	 * Returns the URL of the forecast feed (values in units of the module option `providerUnits`)
+	 * @returns {string} URL
+	 */
+	getForecastURL: function () {
+		const hourly = Object.values(this.hourlyFields).concat(["rain", "showers", "snowfall", "weather_code", "is_day"]);
+		const imperial = this.config.providerUnits === "imperial";
+		const params = new URLSearchParams({
+			latitude: this.config.lat,
+			longitude: this.config.lon,
+			current: hourly.join(","),
+			hourly: hourly.join(","),
+			daily: Object.values(this.dailyFields).concat(["rain_sum", "showers_sum", "snowfall_sum", "weather_code", "sunrise", "sunset"]).join(","),
+			temperature_unit: imperial ? "fahrenheit" : "celsius",
+			wind_speed_unit: imperial ? "mph" : "ms",
+			precipitation_unit: imperial ? "inch" : "mm",
+			timeformat: "unixtime",
+			timezone: "auto",
+			forecast_days: this.config.forecastDays,
+			forecast_hours: this.config.forecastHours,
+		});
+		return `${this.config.apiBase}/forecast?${params}`;
+	},
+
+	/**
+	 * Returns the URL of the air quality feed
+	 * @returns {string} URL
+	 */
+	getAirQualityURL: function () {
+		const params = new URLSearchParams({
+			latitude: this.config.lat,
+			longitude: this.config.lon,
+			hourly: "european_aqi,us_aqi",
+			timeformat: "unixtime",
+			timezone: "auto",
+			forecast_days: Math.min(this.config.forecastDays, 7),
+		});
+		return `${this.config.airQualityApiBase}/air-quality?${params}`;
+	},
+
+	/**
+	 * Returns weather objects of a time series
+	 * @param {Object} series Time series (arrays of values by variable, with `time`)
+	 * @param {Object} fields Variable by field of weather objects
+	 * @returns {Array} Weather objects
+	 */
+	toWeatherObjects: function (series, fields) {
+		return (series?.time ?? []).map((time, i) => {
+			const values = {};
+			Object.keys(series).forEach(name => values[name] = series[name][i]);
+			return this.toWeatherObject(values, fields, time);
+		});
+	},
+
+	/**
+	 * Returns a weather object of values of a date
+	 * @param {Object} values Values by variable
+	 * @param {Object} fields Variable by field of weather objects
+	 * @param {integer} time Date (Unix timestamp in seconds)
+	 * @returns {Object} Weather object
+	 */
+	toWeatherObject: function (values, fields, time) {
+		const d = { date: moment.unix(time) };
+		Object.entries(fields).forEach(([field, name]) => d[field] = values[name]);
+
+		// Rain includes showers, snowfall is converted to water equivalent (7 cm of snow for 10 mm of water)
+		// and its depth is given in `snowfall` (in mm or in, to be displayed with `snowUnits`)
+		const rain = values.rain ?? values.rain_sum;
+		const showers = values.showers ?? values.showers_sum;
+		const snowfall = values.snowfall ?? values.snowfall_sum;
+		if (rain !== undefined && rain !== null) {
+			d.rain = rain + (showers ?? 0);
+		}
+		if (snowfall !== undefined && snowfall !== null) {
+			d.snow = this.config.providerUnits === "imperial" ? snowfall / 7 : snowfall * 10 / 7;
+			d.snowfall = this.config.providerUnits === "imperial" ? snowfall : snowfall * 10;
+		}
+
+		// Icon of the weather code (daily data is considered as day)
+		const weatherType = this.weatherTypes.find(type => type.codes.includes(values.weather_code));
+		if (weatherType !== undefined) {
+			d.weatherType = values.is_day === 0 ? weatherType.night : weatherType.day;
+		}
+		return d;
+	},
+
+	/**
+	 * Returns the AQI level (1: good to 5: very poor) of an index value
+	 * @param {number} value Value of the index configured by `aqiIndex`
+	 * @returns {number} Level - undefined if value is not given
+	 */
+	toAqiLevel: function (value) {
+		if (value === undefined || value === null) {
+			return undefined;
+		}
+		const levels = this.aqiLevels[this.config.aqiIndex] ?? this.aqiLevels.european;
+		return d3.bisectLeft(levels, value) + 1;
+	},
+});